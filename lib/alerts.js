@@ -0,0 +1,285 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { analyzeSentiment, getRegimeLabel } = require('./sentiment');
+const { getFearLevel } = require('./fear');
+const { countMentions, symbolMentions } = require('./tickers');
+const { getMomentum } = require('./momentum');
+
+// Alert rules are evaluated against every newly ingested scan and POST a
+// JSON payload to webhooks. Config lives in a JSON file:
+//
+//   { "webhooks": ["https://hooks.example.com/ct"],
+//     "rules": [
+//       { "id": "regime", "type": "regime-change" },
+//       { "id": "fear", "type": "fear-level", "level": "HIGH", "cooldownMinutes": 120 },
+//       { "id": "btc", "type": "ticker-mentions", "ticker": "BTC", "above": 10 },
+//       { "id": "fresh", "type": "new-ticker", "minMentions": 3, "lookbackHours": 168 },
+//       { "id": "movers", "type": "momentum", "directions": ["up", "new"], "threshold": 3 } ] }
+//
+// A rule may carry its own "webhooks" list instead of the global one.
+// ticker-mentions and new-ticker count distinct tweets in the scan, like the
+// leaderboard, and report the scanner's count as rawMentions.
+// momentum rules compare the `windowHours` (24) before each scan with the
+// `baselineHours` (168) before that, like /api/momentum; `tickers`,
+// `categories`, `minMentions` and `threshold` narrow what counts.
+
+const HOUR = 60 * 60 * 1000;
+const FEAR_ORDER = ['NORMAL', 'ELEVATED', 'HIGH', 'EXTREME'];
+const RULE_TYPES = ['regime-change', 'fear-level', 'ticker-mentions', 'new-ticker', 'momentum'];
+const MOMENTUM_DIRECTIONS = ['up', 'down', 'new'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const WINDOW_HOURS = 24;
+const RETRY_DELAYS_MS = [1000, 4000, 16000];
+const REQUEST_TIMEOUT_MS = 10000;
+const HISTORY_LIMIT = 100;
+
+function validateConfig(config) {
+  const errors = [];
+  const webhooks = config.webhooks || [];
+  if (!Array.isArray(webhooks)) errors.push('webhooks must be an array of URLs');
+  if (!Array.isArray(config.rules)) errors.push('rules must be an array');
+
+  const ids = new Set();
+  (Array.isArray(config.rules) ? config.rules : []).forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule.id) errors.push(`${at}.id is required`);
+    else if (ids.has(rule.id)) errors.push(`${at}.id "${rule.id}" is used twice`);
+    ids.add(rule.id);
+    if (!RULE_TYPES.includes(rule.type)) errors.push(`${at}.type must be one of ${RULE_TYPES.join(', ')}`);
+    if (rule.type === 'fear-level' && rule.level && !FEAR_ORDER.includes(rule.level)) {
+      errors.push(`${at}.level must be one of ${FEAR_ORDER.join(', ')}`);
+    }
+    if (rule.type === 'ticker-mentions') {
+      if (!rule.ticker) errors.push(`${at}.ticker is required`);
+      if (!(rule.above >= 0)) errors.push(`${at}.above must be a non-negative number`);
+    }
+    if (rule.type === 'momentum') {
+      if (rule.directions !== undefined && !(Array.isArray(rule.directions) && rule.directions.every(d => MOMENTUM_DIRECTIONS.includes(d)))) {
+        errors.push(`${at}.directions must be a list of ${MOMENTUM_DIRECTIONS.join(', ')}`);
+      }
+      if (rule.tickers !== undefined && !Array.isArray(rule.tickers)) errors.push(`${at}.tickers must be an array`);
+      if (rule.categories !== undefined && !Array.isArray(rule.categories)) errors.push(`${at}.categories must be an array`);
+      for (const key of ['windowHours', 'baselineHours']) {
+        if (rule[key] !== undefined && !(rule[key] > 0)) errors.push(`${at}.${key} must be a positive number`);
+      }
+      for (const key of ['minMentions', 'threshold']) {
+        if (rule[key] !== undefined && !(rule[key] >= 0)) errors.push(`${at}.${key} must be a non-negative number`);
+      }
+    }
+    const hooks = rule.webhooks || webhooks;
+    if (!Array.isArray(hooks) || !hooks.length) errors.push(`${at} has no webhooks to deliver to`);
+    for (const url of Array.isArray(hooks) ? hooks : []) {
+      if (!/^https?:\/\//.test(url)) errors.push(`${at}: webhook "${url}" is not an http(s) URL`);
+    }
+  });
+  return errors;
+}
+
+function loadAlertConfig(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateConfig(config);
+  if (errors.length) throw new Error(`Invalid alert config ${file}:\n  ${errors.join('\n  ')}`);
+  return config;
+}
+
+function postJson(url, payload) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: REQUEST_TIMEOUT_MS
+    }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode < 300) resolve(res.statusCode);
+        else reject(Object.assign(new Error(`HTTP ${res.statusCode}`), { status: res.statusCode }));
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// 4xx other than 429 means the receiver rejected the payload; don't retry
+function retryable(err) {
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function deliver(url, payload, { post = postJson, delays = RETRY_DELAYS_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await post(url, payload);
+      return { url, ok: true, attempts: attempt + 1 };
+    } catch (err) {
+      if (attempt >= delays.length || !retryable(err)) {
+        return { url, ok: false, attempts: attempt + 1, error: err.message };
+      }
+      await sleep(delays[attempt]);
+    }
+  }
+}
+
+// Each check returns zero or more { subject, message, data } events
+const CHECKS = {
+  'regime-change'(rule, ctx) {
+    if (!ctx.previous) return [];
+    const from = getRegimeLabel(analyzeSentiment(ctx.previous)).label;
+    const to = getRegimeLabel(analyzeSentiment(ctx.window)).label;
+    if (from === to) return [];
+    return [{ subject: `${from}->${to}`, message: `Regime changed from ${from} to ${to}`, data: { from, to } }];
+  },
+
+  'fear-level'(rule, ctx) {
+    const fear = getFearLevel(ctx.window);
+    const min = rule.level || 'HIGH';
+    if (FEAR_ORDER.indexOf(fear.level) < FEAR_ORDER.indexOf(min)) return [];
+    return [{ subject: fear.level, message: `Fear gauge at ${fear.level} (score ${fear.score})`, data: { level: fear.level, score: fear.score, components: fear.components } }];
+  },
+
+  'ticker-mentions'(rule, ctx) {
+    const ticker = rule.ticker.replace(/^\$/, '');
+    const { mentions, rawMentions } = symbolMentions(countMentions([ctx.scan]), ticker);
+    if (mentions <= rule.above) return [];
+    return [{ subject: ticker.toUpperCase(), message: `$${ticker} mentioned in ${mentions} tweets in one scan (threshold ${rule.above})`, data: { ticker, mentions, rawMentions, above: rule.above } }];
+  },
+
+  'new-ticker'(rule, ctx) {
+    const lookback = (rule.lookbackHours || 168) * HOUR;
+    const seen = new Set();
+    for (const scan of ctx.range(ctx.scan.ts - lookback, ctx.scan.ts)) {
+      for (const t of scan.tickers) seen.add(t.symbol.toUpperCase());
+    }
+    return [...countMentions([ctx.scan])]
+      .filter(([symbol, c]) => c.mentions >= (rule.minMentions || 1) && !seen.has(symbol.toUpperCase()))
+      .map(([symbol, c]) => ({
+        subject: symbol.toUpperCase(),
+        message: `New ticker $${symbol} (${c.mentions} mentions)`,
+        data: { ticker: symbol, mentions: c.mentions, rawMentions: c.rawMentions, category: c.category }
+      }));
+  },
+
+  momentum(rule, ctx) {
+    const window = (rule.windowHours || WINDOW_HOURS) * HOUR;
+    const baseline = (rule.baselineHours || 168) * HOUR;
+    const start = ctx.scan.ts + 1 - window;
+    const options = { limit: Infinity, categories: rule.categories || null };
+    if (rule.minMentions !== undefined) options.minMentions = rule.minMentions;
+    if (rule.threshold !== undefined) options.threshold = rule.threshold;
+    const directions = rule.directions || MOMENTUM_DIRECTIONS;
+    const tickers = rule.tickers && rule.tickers.map(t => t.replace(/^\$/, ''));
+    return getMomentum(ctx.range(start, ctx.scan.ts + 1), ctx.range(start - baseline, start), options)
+      .filter(m => directions.includes(m.direction) && (!tickers || tickers.some(t => sameSymbol(t, m.ticker))))
+      .map(m => ({
+        subject: `${m.ticker.toUpperCase()}:${m.direction}`,
+        message: m.direction === 'new'
+          ? `$${m.ticker} is new: ${m.recent} mentions with none in the baseline (z ${m.score})`
+          : `$${m.ticker} momentum ${m.direction}: ${m.change > 0 ? '+' : ''}${m.change}% mention rate (z ${m.score})`,
+        data: m
+      }));
+  }
+};
+
+function createAlerter({ config, range, post, delays }) {
+  const rules = config.rules;
+  const lastFired = new Map();
+  const active = new Set();
+  const history = [];
+  let lastEvaluated = -Infinity;
+
+  function record(entry) {
+    history.unshift(entry);
+    history.length = Math.min(history.length, HISTORY_LIMIT);
+  }
+
+  async function fire(rule, scan, event) {
+    const key = `${rule.id}:${event.subject}`;
+    const cooldown = (rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+    if (lastFired.has(key) && scan.ts - lastFired.get(key) < cooldown) return;
+
+    lastFired.set(key, scan.ts);
+    const payload = {
+      rule: rule.id,
+      type: rule.type,
+      message: event.message,
+      scan: scan.timestamp,
+      data: event.data,
+      sentAt: new Date().toISOString()
+    };
+    const deliveries = await Promise.all((rule.webhooks || config.webhooks).map(url => deliver(url, payload, { post, delays })));
+    record({ ...payload, deliveries });
+    for (const d of deliveries.filter(d => !d.ok)) {
+      console.warn(`Alert ${rule.id} to ${d.url} failed after ${d.attempts} attempts: ${d.error}`);
+    }
+  }
+
+  // Runs every rule against `scan` and updates which conditions hold; returns
+  // the events whose condition just became true.
+  function check(scan) {
+    const window = range(scan.ts - WINDOW_HOURS * HOUR, scan.ts + 1);
+    const before = range(scan.ts - WINDOW_HOURS * HOUR, scan.ts);
+    const prevTs = before[before.length - 1]?.ts;
+    const ctx = {
+      scan,
+      window,
+      previous: prevTs === undefined ? null : range(prevTs - WINDOW_HOURS * HOUR, prevTs + 1),
+      range
+    };
+    // A condition that keeps holding scan after scan alerts once, when it
+    // first becomes true; it has to clear before it can fire again.
+    const started = [];
+    for (const rule of rules) {
+      const current = new Set();
+      for (const event of CHECKS[rule.type](rule, ctx)) {
+        const key = `${rule.id}:${event.subject}`;
+        current.add(key);
+        if (!active.has(key)) started.push({ rule, event });
+      }
+      for (const key of active) {
+        if (key.startsWith(`${rule.id}:`) && !current.has(key)) active.delete(key);
+      }
+      for (const key of current) active.add(key);
+    }
+    return started;
+  }
+
+  async function evaluateScan(scan) {
+    await Promise.all(check(scan).map(({ rule, event }) => fire(rule, scan, event)));
+  }
+
+  // Called with the full sorted scan list after each ingest; only scans
+  // newer than anything seen before are evaluated.
+  async function onScans(scans) {
+    const fresh = scans.filter(s => s.ts > lastEvaluated);
+    if (!fresh.length) return;
+    lastEvaluated = fresh[fresh.length - 1].ts;
+    for (const scan of fresh) await evaluateScan(scan);
+  }
+
+  // Everything already on disk at startup counts as seen, and whatever holds
+  // as of the newest scan counts as already alerted, so a restart doesn't
+  // re-send conditions that were true before it
+  function prime(scans) {
+    const latest = scans[scans.length - 1];
+    lastEvaluated = latest ? latest.ts : -Infinity;
+    if (latest) check(latest);
+  }
+
+  function status() {
+    return {
+      rules: rules.map(r => ({ ...r, webhooks: (r.webhooks || config.webhooks).length })),
+      lastEvaluated: Number.isFinite(lastEvaluated) ? new Date(lastEvaluated).toISOString() : null,
+      recent: history
+    };
+  }
+
+  return { onScans, prime, evaluateScan, status };
+}
+
+module.exports = { loadAlertConfig, validateConfig, createAlerter, deliver, postJson };
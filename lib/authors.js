@@ -0,0 +1,130 @@
+const { handleKey } = require('./scans');
+const { findSpikes } = require('./momentum');
+const { HOUR } = require('./time');
+
+// Author analytics: who posts the tweets the scanner picks up, how much
+// engagement they draw, which tickers they push, and who was talking about
+// a ticker before its momentum spike ("early callers").
+//
+// Every function takes the scan store (lib/store.js) so early-call lookups
+// can reach back before the requested window; tweets come from its tweets()
+// lookup.
+
+const SORTS = ['engagement', 'mentions', 'posts', 'earlyCalls'];
+const DEFAULT_LEAD_HOURS = 72;
+
+function engagement(tweet) {
+  return tweet.likes + tweet.retweets;
+}
+
+// The archive's first and last scans bound "all time" windows
+function clampWindow(store, from, to) {
+  const stamps = store.timestamps(from, to);
+  if (!stamps.length) return { from: 0, to: 0 };
+  return { from: Math.max(from, stamps[0]), to: Math.min(to, stamps[stamps.length - 1] + 1) };
+}
+
+// For each spike in the window, the authors whose tweets mentioned the
+// ticker in the `leadHours` before onset; one call (their earliest) per
+// author per spike
+function findEarlyCalls(store, { from, to, leadHours = DEFAULT_LEAD_HOURS }) {
+  const window = clampWindow(store, from, to);
+  if (window.from >= window.to) return [];
+  const calls = [];
+  for (const spike of findSpikes(store.range, window)) {
+    const tweets = store.tweets(spike.at - leadHours * HOUR, spike.at, { symbol: spike.ticker })
+      .filter(tweet => tweet.author);
+    const earliest = new Map();
+    for (const tweet of tweets) {
+      const key = handleKey(tweet.author);
+      if (!earliest.has(key) || Date.parse(tweet.firstSeen) < Date.parse(earliest.get(key).firstSeen)) earliest.set(key, tweet);
+    }
+    for (const tweet of earliest.values()) {
+      calls.push({
+        author: tweet.author,
+        ticker: spike.ticker,
+        spikeAt: new Date(spike.at).toISOString(),
+        spikeScore: spike.score,
+        calledAt: tweet.firstSeen,
+        leadHours: +((spike.at - Date.parse(tweet.firstSeen)) / HOUR).toFixed(1),
+        text: tweet.text.slice(0, 280),
+        url: tweet.url
+      });
+    }
+  }
+  return calls;
+}
+
+function summarize(handle, tweets, calls) {
+  const tickers = new Map();
+  for (const tweet of tweets) {
+    for (const symbol of tweet.tickers) {
+      const key = symbol.toUpperCase();
+      const entry = tickers.get(key) || { symbol, posts: 0, engagement: 0 };
+      entry.posts++;
+      entry.engagement += engagement(tweet);
+      tickers.set(key, entry);
+    }
+  }
+  const seen = tweets.map(t => t.firstSeen).sort();
+  return {
+    handle,
+    posts: tweets.length,
+    likes: tweets.reduce((sum, t) => sum + t.likes, 0),
+    retweets: tweets.reduce((sum, t) => sum + t.retweets, 0),
+    engagement: tweets.reduce((sum, t) => sum + engagement(t), 0),
+    mentions: tweets.reduce((sum, t) => sum + t.tickers.length, 0),
+    earlyCalls: calls.length,
+    firstSeen: seen[0] || null,
+    lastSeen: seen[seen.length - 1] || null,
+    tickers: [...tickers.values()].sort((a, b) => b.posts - a.posts || b.engagement - a.engagement)
+  };
+}
+
+function groupByAuthor(tweets) {
+  const byAuthor = new Map();
+  for (const tweet of tweets) {
+    if (!tweet.author) continue;
+    const key = handleKey(tweet.author);
+    if (!byAuthor.has(key)) byAuthor.set(key, { handle: tweet.author.replace(/^@/, ''), tweets: [] });
+    byAuthor.get(key).tweets.push(tweet);
+  }
+  return byAuthor;
+}
+
+function groupCalls(calls) {
+  const byAuthor = new Map();
+  for (const call of calls) {
+    const key = handleKey(call.author);
+    byAuthor.set(key, [...(byAuthor.get(key) || []), call]);
+  }
+  return byAuthor;
+}
+
+// Leaderboard for the window, ordered by `sort` (one of SORTS)
+function getAuthorStats(store, { from, to, sort = 'engagement', limit = 50, tickers = 5, leadHours } = {}) {
+  const byAuthor = groupByAuthor(store.tweets(from, to));
+  const calls = groupCalls(findEarlyCalls(store, { from, to, leadHours }));
+  return [...byAuthor.entries()]
+    .map(([key, { handle, tweets: posts }]) => summarize(handle, posts, calls.get(key) || []))
+    .sort((a, b) => b[sort] - a[sort] || b.engagement - a.engagement)
+    .slice(0, limit)
+    .map((a, i) => ({ rank: i + 1, ...a, tickers: a.tickers.slice(0, tickers) }));
+}
+
+function getAuthorProfile(store, handle, { from, to, posts = 10, leadHours } = {}) {
+  const key = handleKey(handle);
+  const tweets = store.tweets(from, to, { author: handle });
+  if (!tweets.length) return null;
+  const calls = findEarlyCalls(store, { from, to, leadHours }).filter(c => handleKey(c.author) === key);
+  return {
+    ...summarize(tweets[0].author.replace(/^@/, ''), tweets, calls),
+    calls: calls.sort((a, b) => b.leadHours - a.leadHours),
+    topPosts: tweets
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, posts)
+      .map(({ text, likes, retweets, url, tickers, firstSeen }) => ({ text, likes, retweets, url, tickers, firstSeen }))
+  };
+}
+
+module.exports = { SORTS, DEFAULT_LEAD_HOURS, getAuthorStats, getAuthorProfile, findEarlyCalls };
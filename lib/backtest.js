@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeSentiment, getRegimeLabel } = require('./sentiment');
+const { getFearLevel } = require('./fear');
+const { getMomentum } = require('./momentum');
+const { HOUR, DAY_PATTERN, startOfDay, endOfDay, formatDay, parseInstant } = require('./time');
+
+// Backtesting: replay the archive through the brief's signals and check
+// what prices did afterwards.
+//
+// Prices come from local files (config `files.prices`), either a directory
+// with one file per ticker (BTC.csv, ETH.json) or a single file covering
+// several:
+//
+//   CSV   header row with a time column (timestamp, time or date), a price
+//         column (close or price) and, in a combined file, a ticker column
+//         (ticker or symbol)
+//   JSON  [{ "timestamp": ..., "close": ... }] or [[timestamp, close]] per
+//         ticker; a combined file is { "BTC": [...], "ETH": [...] }
+//
+// Times are ISO timestamps, epoch seconds or milliseconds, or YYYY-MM-DD for
+// a daily close (stamped at the end of that local day).
+//
+// Every `stepHours` the brief is rebuilt as it would have read then: regime
+// and fear over the `windowHours` before, momentum against the baseline
+// before that. Regime and fear are market calls, measured on the benchmark;
+// momentum is measured on the ticker itself. For each horizon the forward
+// return is the last price at or before t + h over the last at or before t,
+// and volatility is the high-low range of the prices in between, both in
+// percent. A signal's hit rate counts moves in the direction it implies;
+// the baseline is every replay point, so a signal only means something if
+// it beats it. Horizons longer than the step overlap, which flatters n.
+
+const PRICE_EXTENSIONS = ['.csv', '.json'];
+const TIME_COLUMNS = ['timestamp', 'time', 'date'];
+const PRICE_COLUMNS = ['close', 'price'];
+const SYMBOL_COLUMNS = ['ticker', 'symbol'];
+
+// Which way each signal says prices should go; null makes no call
+const EXPECT = {
+  regime: { EUPHORIA: 'up', BULLISH: 'up', 'LEANING BULL': 'up', NEUTRAL: null, 'LEANING BEAR': 'down', BEARISH: 'down' },
+  momentum: { up: 'up', new: 'up', down: 'down' }
+};
+
+function upper(symbol) {
+  return String(symbol).replace(/^\$/, '').trim().toUpperCase();
+}
+
+// Epoch values below 1e11 are seconds
+function parsePriceTime(value) {
+  const text = String(value).trim();
+  if (DAY_PATTERN.test(text)) return endOfDay(text) - 1;
+  const ts = parseInstant(text);
+  return /^\d+$/.test(text) && ts < 1e11 ? ts * 1000 : ts;
+}
+
+function pricePoint(time, close, where) {
+  const ts = parsePriceTime(time);
+  const price = Number(close);
+  if (Number.isNaN(ts)) throw new Error(`${where}: invalid time "${time}"`);
+  if (!(price > 0)) throw new Error(`${where}: invalid price "${close}"`);
+  return { ts, close: price };
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+// -> { SYMBOL: [points] }; `symbol` is set for single-ticker files
+function parseCsv(text, symbol) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return {};
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const column = names => header.findIndex(h => names.includes(h));
+  const time = column(TIME_COLUMNS);
+  const price = column(PRICE_COLUMNS);
+  const ticker = column(SYMBOL_COLUMNS);
+  if (time < 0 || price < 0) throw new Error(`header needs a ${TIME_COLUMNS.join('/')} and a ${PRICE_COLUMNS.join('/')} column`);
+  if (!symbol && ticker < 0) throw new Error(`header needs a ${SYMBOL_COLUMNS.join('/')} column`);
+
+  const out = {};
+  lines.slice(1).forEach((line, i) => {
+    const cells = splitCsvLine(line);
+    const key = symbol || upper(cells[ticker] || '');
+    if (!key) throw new Error(`line ${i + 2}: missing ticker`);
+    (out[key] = out[key] || []).push(pricePoint(cells[time], cells[price], `line ${i + 2}`));
+  });
+  return out;
+}
+
+function parseJsonSeries(rows, where) {
+  if (!Array.isArray(rows)) throw new Error(`${where} must be an array`);
+  return rows.map((row, i) => {
+    if (Array.isArray(row)) return pricePoint(row[0], row[1], `${where}[${i}]`);
+    if (!row || typeof row !== 'object') throw new Error(`${where}[${i}] must be an object or [time, close]`);
+    const time = TIME_COLUMNS.map(k => row[k]).find(v => v !== undefined);
+    const close = PRICE_COLUMNS.map(k => row[k]).find(v => v !== undefined);
+    return pricePoint(time, close, `${where}[${i}]`);
+  });
+}
+
+function parseJson(text, symbol) {
+  const doc = JSON.parse(text);
+  if (symbol) return { [symbol]: parseJsonSeries(doc, symbol) };
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error('a combined price file must be an object of ticker -> prices');
+  return Object.fromEntries(Object.entries(doc).map(([key, rows]) => [upper(key), parseJsonSeries(rows, key)]));
+}
+
+function readPriceFile(file, symbol) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? parseJson(text, symbol) : parseCsv(text, symbol);
+  } catch (e) {
+    throw new Error(`Invalid price file ${file}: ${e.message}`);
+  }
+}
+
+// -> Map of canonical symbol -> points sorted by time, or null if `source`
+// doesn't exist. `canonical` maps file and column symbols onto the
+// registry's, so XBT.csv prices BTC.
+function loadPrices(source, { canonical = upper } = {}) {
+  if (!source || !fs.existsSync(source)) return null;
+  const docs = [];
+  if (fs.statSync(source).isDirectory()) {
+    for (const file of fs.readdirSync(source).sort()) {
+      const ext = path.extname(file).toLowerCase();
+      if (!PRICE_EXTENSIONS.includes(ext)) continue;
+      docs.push(readPriceFile(path.join(source, file), upper(path.basename(file, path.extname(file)))));
+    }
+  } else {
+    docs.push(readPriceFile(source, null));
+  }
+
+  const prices = new Map();
+  for (const doc of docs) {
+    for (const [symbol, points] of Object.entries(doc)) {
+      const key = canonical(symbol);
+      prices.set(key, [...(prices.get(key) || []), ...points]);
+    }
+  }
+  // Later rows win for a repeated time
+  for (const [symbol, points] of prices) {
+    const byTime = new Map(points.map(p => [p.ts, p]));
+    prices.set(symbol, [...byTime.values()].sort((a, b) => a.ts - b.ts));
+  }
+  return prices;
+}
+
+// Index of the last point at or before ts, -1 if none
+function indexAt(points, ts) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].ts <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo - 1;
+}
+
+// Return and range from t to t + hours; null without a fresh enough price
+// at both ends
+function forwardMove(points, t, hours, maxGapHours) {
+  if (!points || !points.length || points[points.length - 1].ts < t + hours * HOUR) return null;
+  const start = indexAt(points, t);
+  const end = indexAt(points, t + hours * HOUR);
+  if (start < 0 || t - points[start].ts > maxGapHours * HOUR) return null;
+  if (end <= start || t + hours * HOUR - points[end].ts > maxGapHours * HOUR) return null;
+  const p0 = points[start].close;
+  const closes = points.slice(start, end + 1).map(p => p.close);
+  return {
+    ret: (points[end].close / p0 - 1) * 100,
+    range: (Math.max(...closes) - Math.min(...closes)) / p0 * 100
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function round(value) {
+  return value === null ? null : +value.toFixed(2);
+}
+
+function summarize(moves, expect, baseline = null) {
+  const stats = {
+    n: moves.length,
+    hitRate: null,
+    avgReturn: round(mean(moves.map(m => m.ret))),
+    avgAbsReturn: round(mean(moves.map(m => Math.abs(m.ret)))),
+    avgRange: round(mean(moves.map(m => m.range)))
+  };
+  if (expect && moves.length) {
+    const hits = moves.filter(m => (expect === 'up' ? m.ret > 0 : m.ret < 0)).length;
+    stats.hitRate = round(hits / moves.length * 100);
+  }
+  if (baseline && moves.length) {
+    stats.vsBaseline = {
+      return: baseline.avgReturn === null ? null : round(stats.avgReturn - baseline.avgReturn),
+      range: baseline.avgRange ? round(stats.avgRange / baseline.avgRange) : null
+    };
+  }
+  return stats;
+}
+
+// The brief's signals as they read at `t`
+function signalsAt(range, t, { windowHours, baselineHours, momentum }) {
+  const start = t - windowHours * HOUR;
+  const scans = range(start, t);
+  if (!scans.length) return null;
+  const regime = getRegimeLabel(analyzeSentiment(scans));
+  const fear = getFearLevel(scans);
+  const movers = getMomentum(scans, range(start - baselineHours * HOUR, start), { ...momentum, limit: Infinity });
+  return { regime: regime.label, fear: fear.level, movers };
+}
+
+// `range(from, to)` is the store's window query; replay points fall on
+// local day boundaries plus multiples of `stepHours`, from the first one
+// with a full window inside [from, to)
+function runBacktest(range, prices, {
+  from,
+  to,
+  benchmark,
+  windowHours = 24,
+  stepHours = 24,
+  horizons = [24, 72, 168],
+  baselineHours = 168,
+  maxGapHours = 48,
+  momentum = {}
+}) {
+  const scans = range(from, to);
+  const result = {
+    benchmark,
+    windowHours,
+    stepHours,
+    horizons: horizons.map(h => `${h}h`),
+    from: null,
+    to: null,
+    points: 0,
+    priced: [...prices.keys()].sort(),
+    baseline: { benchmark: {}, universe: {} },
+    signals: []
+  };
+  if (!scans.length) return result;
+  from = Math.max(from, scans[0].ts);
+  to = Math.min(to, scans[scans.length - 1].ts + 1);
+
+  const moves = new Map();
+  const moveAt = (symbol, t, h) => {
+    const key = `${symbol}@${t}@${h}`;
+    if (!moves.has(key)) moves.set(key, forwardMove(prices.get(symbol), t, h, maxGapHours));
+    return moves.get(key);
+  };
+
+  const groups = new Map();
+  const record = (type, value, symbol, t) => {
+    const id = `${type}:${value}`;
+    if (!groups.has(id)) groups.set(id, { type, value, expect: EXPECT[type]?.[value] ?? null, occurrences: 0, samples: [] });
+    const group = groups.get(id);
+    group.occurrences++;
+    group.samples.push({ symbol, t });
+  };
+  const points = [];
+
+  let t = startOfDay(formatDay(from));
+  while (t < from + windowHours * HOUR) t += stepHours * HOUR;
+  for (; t <= to; t += stepHours * HOUR) {
+    const signals = signalsAt(range, t, { windowHours, baselineHours, momentum });
+    if (!signals) continue;
+    points.push(t);
+    record('regime', signals.regime, benchmark, t);
+    record('fear', signals.fear, benchmark, t);
+    for (const m of signals.movers) record('momentum', m.direction, m.ticker, t);
+  }
+  result.from = points.length ? new Date(points[0]).toISOString() : null;
+  result.to = points.length ? new Date(points[points.length - 1]).toISOString() : null;
+  result.points = points.length;
+
+  const collect = (samples, h) => samples.map(s => moveAt(s.symbol, s.t, h)).filter(Boolean);
+  const universe = points.flatMap(p => result.priced.map(symbol => ({ symbol, t: p })));
+  for (const h of horizons) {
+    result.baseline.benchmark[`${h}h`] = summarize(collect(points.map(p => ({ symbol: benchmark, t: p })), h), null);
+    result.baseline.universe[`${h}h`] = summarize(collect(universe, h), null);
+  }
+
+  for (const group of groups.values()) {
+    const baseline = group.type === 'momentum' ? result.baseline.universe : result.baseline.benchmark;
+    const tickers = {};
+    for (const s of group.samples) tickers[s.symbol] = (tickers[s.symbol] || 0) + 1;
+    result.signals.push({
+      signal: group.type,
+      value: group.value,
+      expect: group.expect,
+      occurrences: group.occurrences,
+      tickers: Object.entries(tickers).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([symbol, count]) => ({ symbol, count })),
+      horizons: Object.fromEntries(horizons.map(h => [`${h}h`, summarize(collect(group.samples, h), group.expect, baseline[`${h}h`])]))
+    });
+  }
+  const order = ['regime', 'fear', 'momentum'];
+  result.signals.sort((a, b) => order.indexOf(a.signal) - order.indexOf(b.signal) || b.occurrences - a.occurrences);
+  return result;
+}
+
+module.exports = { loadPrices, runBacktest, forwardMove, EXPECT };
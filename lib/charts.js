@@ -0,0 +1,196 @@
+const { escapeHtml } = require('./layout');
+const { REGIMES } = require('./sentiment');
+const { FEAR_LEVELS } = require('./fear');
+const { TIME_ZONE } = require('./time');
+
+// Server-rendered SVG charts over /api/timeseries points. Each chart is
+// plain markup that works without JS; every bucket carries a <title> for
+// native tooltips, which CHART_SCRIPT upgrades to a styled one on hover.
+// Null buckets (no scans) leave gaps instead of dropping to zero.
+
+const WIDTH = 632;
+const PAD = { top: 8, right: 8, bottom: 20, left: 32 };
+
+const REGIME_COLORS = Object.fromEntries(REGIMES.map(r => [r.label, r.color]));
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Line through the non-null values; a null starts a new segment
+function linePath(values, x, y) {
+  let path = '';
+  let pen = false;
+  values.forEach((v, i) => {
+    if (v === null || v === undefined) {
+      pen = false;
+      return;
+    }
+    path += `${pen ? 'L' : 'M'}${round(x(i))},${round(y(v))}`;
+    pen = true;
+  });
+  return path;
+}
+
+function bucketLabel(iso, hours) {
+  const options = hours < 24
+    ? { hour: 'numeric', timeZone: TIME_ZONE }
+    : { month: 'short', day: 'numeric', timeZone: TIME_ZONE };
+  return new Date(iso).toLocaleString('en-US', options);
+}
+
+function tipLabel(point, hours) {
+  const options = { month: 'short', day: 'numeric', timeZone: TIME_ZONE };
+  if (hours < 24) Object.assign(options, { hour: 'numeric', minute: '2-digit' });
+  return new Date(point.start).toLocaleString('en-US', options);
+}
+
+function bucketHours(points) {
+  return points.length ? (Date.parse(points[0].end) - Date.parse(points[0].start)) / 3600000 : 1;
+}
+
+// Frame shared by the two full-width charts: plot area, y gridlines and
+// first / middle / last x labels
+function frame(points, { height, yMax, yTicks, unit = '' }) {
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const step = plotW / Math.max(points.length, 1);
+  const x = i => PAD.left + step * (i + 0.5);
+  const y = v => PAD.top + plotH - (v / yMax) * plotH;
+  const hours = bucketHours(points);
+  const labelAt = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])].filter(i => i >= 0);
+
+  const grid = yTicks.map(v => `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${round(y(v))}" y2="${round(y(v))}" class="chart-grid"/>
+    <text x="${PAD.left - 6}" y="${round(y(v)) + 3}" class="chart-axis" text-anchor="end">${v}${unit}</text>`).join('\n    ');
+  const labels = labelAt.map(i => `<text x="${round(x(i))}" y="${height - 4}" class="chart-axis" text-anchor="${i === 0 ? 'start' : i === points.length - 1 ? 'end' : 'middle'}">${escapeHtml(bucketLabel(points[i].start, hours))}</text>`).join('\n    ');
+  return { x, y, step, plotH, hours, grid, labels };
+}
+
+// Invisible full-height column per bucket that carries the tooltip
+function hoverColumns(points, f, tip) {
+  return points.map((p, i) => {
+    const text = escapeHtml(tip(p, tipLabel(p, f.hours)));
+    return `<rect x="${round(PAD.left + f.step * i)}" y="${PAD.top}" width="${round(f.step)}" height="${round(f.plotH)}" class="chart-hover" data-tip="${text}"><title>${text}</title></rect>`;
+  }).join('');
+}
+
+function sentimentChart(points, { height = 180 } = {}) {
+  const peak = Math.max(5, ...points.flatMap(p => [p.bull ?? 0, p.bear ?? 0]));
+  const yMax = Math.ceil(peak * 1.15 / 10) * 10;
+  const f = frame(points, { height, yMax, yTicks: [0, yMax / 2, yMax], unit: '%' });
+
+  const bands = points.map((p, i) => p.regime
+    ? `<rect x="${round(PAD.left + f.step * i)}" y="${PAD.top}" width="${round(f.step + 0.5)}" height="${round(f.plotH)}" fill="${REGIME_COLORS[p.regime]}" opacity="0.12"/>`
+    : '').join('');
+
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="Bullish and bearish share over time">
+    ${bands}
+    ${f.grid}
+    <path d="${linePath(points.map(p => p.bull), f.x, f.y)}" class="chart-line" stroke="#4ade80"/>
+    <path d="${linePath(points.map(p => p.bear), f.x, f.y)}" class="chart-line" stroke="#ef4444"/>
+    ${f.labels}
+    ${hoverColumns(points, f, (p, when) => p.regime ? `${when} · ${p.regime} · bull ${p.bull}% · bear ${p.bear}%` : `${when} · no scans`)}
+  </svg>`;
+}
+
+function fearChart(points, { height = 120 } = {}) {
+  const f = frame(points, { height, yMax: 100, yTicks: [0, 50, 100] });
+  const scores = points.map(p => p.fear ? p.fear.score : null);
+
+  // One tinted band per level, from its threshold up to the next one
+  const bands = FEAR_LEVELS.map((level, i) => {
+    const top = i === 0 ? 100 : FEAR_LEVELS[i - 1].min;
+    return `<rect x="${PAD.left}" y="${round(f.y(top))}" width="${WIDTH - PAD.left - PAD.right}" height="${round(f.y(level.min) - f.y(top))}" fill="${level.color}" opacity="0.08"/>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="Fear score over time">
+    ${bands}
+    ${f.grid}
+    <path d="${linePath(scores, f.x, f.y)}" class="chart-line" stroke="var(--fear)"/>
+    ${f.labels}
+    ${hoverColumns(points, f, (p, when) => p.fear
+      ? `${when} · ${p.fear.level} ${p.fear.score} · metals ${p.fear.metals} · macro ${p.fear.macro} · bearish ${p.fear.bearish} /100 tweets`
+      : `${when} · no scans`)}
+  </svg>`;
+}
+
+// Tiny mentions line for ticker and momentum cards. `highlightFrom` shades
+// the buckets from that index on (the current window, for momentum).
+function sparkline(values, { width = 96, height = 24, color = 'var(--accent)', highlightFrom = null, label = '' } = {}) {
+  const max = Math.max(1, ...values.map(v => v ?? 0));
+  const step = width / Math.max(values.length - 1, 1);
+  const x = i => i * step;
+  const y = v => height - 2 - (v / max) * (height - 4);
+  const shade = highlightFrom !== null && highlightFrom < values.length
+    ? `<rect x="${round(x(highlightFrom))}" y="0" width="${round(width - x(highlightFrom))}" height="${height}" class="spark-window"/>`
+    : '';
+  return `<svg class="spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none" aria-hidden="true">${shade}<path d="${linePath(values, x, y)}" stroke="${color}"/>${label ? `<title>${escapeHtml(label)}</title>` : ''}</svg>`;
+}
+
+const CHART_STYLES = `
+  /* Charts */
+  .chart {
+    width: 100%;
+    height: auto;
+    display: block;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    margin-bottom: 12px;
+  }
+
+  .chart-line { fill: none; stroke-width: 2; stroke-linejoin: round; stroke-linecap: round; }
+  .chart-grid { stroke: var(--border); stroke-width: 1; }
+  .chart-axis { fill: var(--text2); font-family: 'JetBrains Mono', monospace; font-size: 10px; }
+  .chart-hover { fill: transparent; }
+  .chart-hover:hover { fill: rgba(255, 255, 255, 0.04); }
+
+  .chart-legend {
+    display: flex;
+    gap: 16px;
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 12px;
+    color: var(--text2);
+    margin-bottom: 8px;
+  }
+
+  .spark { display: block; margin: 6px auto 0; overflow: visible; }
+  .spark path { fill: none; stroke-width: 1.5; stroke-linejoin: round; }
+  .spark-window { fill: rgba(255, 255, 255, 0.05); }
+  .momentum-item .spark { margin: 0 12px 0 auto; }
+
+  .chart-tip {
+    position: fixed;
+    pointer-events: none;
+    background: var(--surface2);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    padding: 4px 8px;
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 11px;
+    color: var(--text);
+    white-space: nowrap;
+    display: none;
+    z-index: 10;
+  }
+`;
+
+// Optional: swaps native <title> tooltips for one that follows the cursor
+const CHART_SCRIPT = `<script>
+(function () {
+  var tip = document.createElement('div');
+  tip.className = 'chart-tip';
+  document.body.appendChild(tip);
+  document.querySelectorAll('.chart-hover title').forEach(function (t) { t.remove(); });
+  document.addEventListener('mousemove', function (e) {
+    var text = e.target.getAttribute && e.target.getAttribute('data-tip');
+    if (!text) { tip.style.display = 'none'; return; }
+    tip.textContent = text;
+    tip.style.display = 'block';
+    tip.style.left = Math.min(e.clientX + 12, window.innerWidth - tip.offsetWidth - 8) + 'px';
+    tip.style.top = (e.clientY + 12) + 'px';
+  });
+})();
+</script>`;
+
+module.exports = { sentimentChart, fearChart, sparkline, CHART_STYLES, CHART_SCRIPT };
@@ -0,0 +1,52 @@
+const { uniqueTweets } = require('./tickers');
+
+// Compare mode (?compare=prev): each metric for the current window next to
+// the window of the same length right before it.
+
+// { current, previous, delta }; delta is null when either side isn't a number
+function metric(current, previous, digits = 1) {
+  const a = Number(current);
+  const b = Number(previous);
+  const comparable = Number.isFinite(a) && Number.isFinite(b);
+  return {
+    current,
+    previous,
+    delta: comparable ? +(a - b).toFixed(digits) : null
+  };
+}
+
+// Current leaderboard with each entry's standing in the previous one.
+// `previous` should be the full previous leaderboard, not just its top N,
+// so a ticker that climbed from #40 isn't reported as new.
+function rankChanges(current, previous) {
+  const before = new Map(previous.map((t, i) => [t.name, { rank: i + 1, mentions: t.mentions }]));
+  return current.map((t, i) => {
+    const prior = before.get(t.name);
+    return {
+      name: t.name,
+      mentions: t.mentions,
+      rank: i + 1,
+      previousMentions: prior ? prior.mentions : 0,
+      previousRank: prior ? prior.rank : null,
+      // Positive means the ticker moved up the board
+      rankChange: prior ? prior.rank - (i + 1) : null,
+      new: !prior
+    };
+  });
+}
+
+// Likes and retweets across the window's unique tweets. Consecutive scans
+// re-see the same tweets, so each is counted once at its highest engagement.
+function getEngagement(scans) {
+  const tweets = uniqueTweets(scans);
+  const likes = tweets.reduce((sum, t) => sum + t.likes, 0);
+  const retweets = tweets.reduce((sum, t) => sum + t.retweets, 0);
+  return {
+    posts: tweets.length,
+    likes,
+    retweets,
+    likesPerPost: tweets.length ? +(likes / tweets.length).toFixed(1) : 0
+  };
+}
+
+module.exports = { metric, rankChanges, getEngagement };
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const configSchema = require('./schemas/config.json');
+
+// Deployment settings, layered:
+//
+//   1. the defaults below
+//   2. the config file (CONFIG_FILE, default ./config.json; optional)
+//   3. one of that file's "profiles", picked with CT_PROFILE
+//   4. environment variables: CT__<path> with "__" between keys
+//      (CT__momentum__minMentions=3) or the long-standing names in ENV
+//
+// Values from the environment are parsed as JSON when they parse, so
+// CT__commodities='["oil","gas"]' is a list and PORT=8080 a number. Relative
+// paths resolve against the file that set them: the repo for defaults, the
+// config file's directory, or the working directory for env vars.
+//
+// The merged result is checked against lib/schemas/config.json plus the
+// cross-field rules in `checkRules`, and every problem is reported at once.
+// Modules read it through getConfig(); server.js loads it first so a bad
+// config stops startup before anything reads a setting.
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+  port: 3500,
+  publicUrl: null,
+  // null: ./data, or ~/ct-scanner/data if only that exists
+  dataDir: null,
+  store: { backend: 'file', database: 'ct-brief.db' },
+  files: { tickerRegistry: 'tickers.json', alerts: 'alerts.json', narrative: 'narrative.json', prices: 'prices' },
+  // Windows with fewer scans report status insufficientData, not readings
+  minScans: 3,
+  timeZone: 'America/New_York',
+  timeZoneLabel: 'ET',
+  // Minimum bull/bear ratio for each regime; below leaningBear is BEARISH
+  regimes: { euphoria: 5, bullish: 3, leaningBull: 1.5, neutral: 0.67, leaningBear: 0.33 },
+  fear: {
+    // Minimum composite score (0-100) for each level; below elevated is NORMAL
+    levels: { extreme: 75, high: 50, elevated: 30 },
+    // `saturation` is the per-100-tweet rate at which a component maxes out
+    components: {
+      metals: { weight: 0.5, saturation: 8 },
+      macro: { weight: 0.25, saturation: 6 },
+      bearish: { weight: 0.25, saturation: 12 }
+    },
+    havenMetals: ['gold', 'silver'],
+    macroTerms: ['inflation', 'cpi', 'fomc', 'fed', 'powell', 'rate hike', 'yields', 'dxy', 'treasury', 'bond', 'unemployment']
+  },
+  momentum: { minMentions: 5, threshold: 2, limit: 12, baselineHours: 168 },
+  // Signal replay (lib/backtest.js); regime and fear are scored on `benchmark`
+  backtest: { benchmark: 'BTC', windowHours: 24, stepHours: 24, horizons: [24, 72, 168], maxGapHours: 48 },
+  // Commodities the brief lists; empty lists every one the scanner reports
+  commodities: []
+};
+
+// Long-standing variables, still honoured
+const ENV = {
+  PORT: 'port',
+  PUBLIC_URL: 'publicUrl',
+  DATA_DIR: 'dataDir',
+  STORE: 'store.backend',
+  DATABASE_PATH: 'store.database',
+  TICKER_REGISTRY: 'files.tickerRegistry',
+  ALERTS_CONFIG: 'files.alerts',
+  NARRATIVE_CONFIG: 'files.narrative'
+};
+
+const PATHS = ['dataDir', 'store.database', 'files.tickerRegistry', 'files.alerts', 'files.narrative', 'files.prices'];
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(configSchema);
+
+let active = null;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else, arrays included, replaces
+function merge(base, over) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    out[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return out;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((v, key) => (isObject(v) ? v[key] : undefined), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let target = obj;
+  for (const key of keys.slice(0, -1)) target = target[key] = isObject(target[key]) ? target[key] : {};
+  target[keys[keys.length - 1]] = value;
+}
+
+function resolvePaths(layer, dir) {
+  const out = JSON.parse(JSON.stringify(layer));
+  for (const key of PATHS) {
+    const value = getPath(out, key);
+    if (typeof value === 'string' && value) setPath(out, key, path.resolve(dir, value));
+  }
+  return out;
+}
+
+function parseEnvValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+function envLayer(env) {
+  const layer = {};
+  const names = [];
+  for (const [name, key] of Object.entries(ENV)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    setPath(layer, key, parseEnvValue(env[name]));
+    names.push(name);
+  }
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith('CT__')) continue;
+    setPath(layer, name.slice(4).split('__').join('.'), parseEnvValue(raw));
+    names.push(name);
+  }
+  return { layer, names };
+}
+
+// ajv reports "/momentum/minMentions"; read it as "momentum.minMentions"
+function describe(error) {
+  const parts = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'additionalProperties') parts.push(error.params.additionalProperty);
+  const field = parts.join('.') || '(root)';
+  return error.keyword === 'additionalProperties' ? `${field} is not a known setting` : `${field} ${error.message}`;
+}
+
+function descending(values, label) {
+  const entries = Object.entries(values);
+  for (let i = 1; i < entries.length; i++) {
+    if (!(entries[i - 1][1] > entries[i][1])) {
+      return [`${label}.${entries[i - 1][0]} (${entries[i - 1][1]}) must be greater than ${label}.${entries[i][0]} (${entries[i][1]})`];
+    }
+  }
+  return [];
+}
+
+// What the schema can't express
+function checkRules(config) {
+  const errors = [];
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.timeZone });
+  } catch (e) {
+    errors.push(`timeZone "${config.timeZone}" is not an IANA time zone`);
+  }
+  errors.push(...descending(config.regimes, 'regimes'));
+  errors.push(...descending(config.fear.levels, 'fear.levels'));
+  const weights = Object.values(config.fear.components).reduce((sum, c) => sum + c.weight, 0);
+  if (Math.abs(weights - 1) > 1e-6) errors.push(`fear.components weights must add up to 1 (they add up to ${+weights.toFixed(4)})`);
+  return errors;
+}
+
+function validateConfig(config) {
+  const errors = validateSchema(config) ? [] : validateSchema.errors.map(describe);
+  // The rules assume the schema's shape; on a badly mangled config they may
+  // not get far, and the schema errors say why
+  try {
+    errors.push(...checkRules(config));
+  } catch (e) {
+    // reported above
+  }
+  return [...new Set(errors)];
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read config ${file}: ${e.message}`);
+  }
+}
+
+// -> { config, profile, sources }; throws with every problem listed
+function loadConfig({ env = process.env } = {}) {
+  const file = path.resolve(env.CONFIG_FILE || path.join(ROOT, 'config.json'));
+  const profile = env.CT_PROFILE || null;
+  const sources = ['defaults'];
+  let config = resolvePaths(DEFAULTS, ROOT);
+
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    fromFile = readConfigFile(file);
+    if (!isObject(fromFile)) throw new Error(`Invalid config ${file}: must be a JSON object`);
+    sources.push(file);
+  } else if (env.CONFIG_FILE) {
+    throw new Error(`Config file ${file} does not exist`);
+  }
+  const { profiles = {}, ...settings } = fromFile;
+  config = merge(config, resolvePaths(settings, path.dirname(file)));
+
+  if (profile) {
+    if (!isObject(profiles) || !isObject(profiles[profile])) {
+      const known = isObject(profiles) ? Object.keys(profiles) : [];
+      throw new Error(`Unknown profile "${profile}" (CT_PROFILE); ${known.length ? `${file} defines ${known.join(', ')}` : 'no profiles are defined'}`);
+    }
+    config = merge(config, resolvePaths(profiles[profile], path.dirname(file)));
+    sources.push(`profile ${profile}`);
+  }
+
+  const { layer, names } = envLayer(env);
+  config = merge(config, resolvePaths(layer, process.cwd()));
+  if (names.length) sources.push(`env ${names.join(', ')}`);
+
+  // Profiles that aren't active are checked too, so a typo in one doesn't
+  // wait for the deployment that selects it
+  const errors = validateConfig({ ...config, profiles });
+  if (isObject(profiles)) {
+    for (const [name, overrides] of Object.entries(profiles)) {
+      if (name === profile || !isObject(overrides)) continue;
+      const base = merge(resolvePaths(DEFAULTS, ROOT), resolvePaths(settings, path.dirname(file)));
+      for (const error of validateConfig(merge(base, overrides))) {
+        if (!errors.includes(error)) errors.push(`profiles.${name}: ${error}`);
+      }
+    }
+  }
+  if (errors.length) throw new Error(`Invalid configuration (${sources.join(' < ')}):\n  ${errors.join('\n  ')}`);
+  return { config, profile, sources };
+}
+
+function activeConfig() {
+  if (!active) active = loadConfig();
+  return active;
+}
+
+function getConfig() {
+  return activeConfig().config;
+}
+
+module.exports = { DEFAULTS, loadConfig, activeConfig, getConfig, validateConfig };
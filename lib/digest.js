@@ -0,0 +1,115 @@
+const { escapeHtml } = require('./layout');
+const { TIME_ZONE } = require('./time');
+const { NO_DATA_REGIME } = require('./sentiment');
+
+// Email and feed renderings of a brief (the object buildBrief returns).
+// Email clients strip <style> blocks and block remote fonts, so the HTML
+// here uses inline styles and system fonts only.
+
+const FONT = "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+const MONO = "'SFMono-Regular', Menlo, Consolas, monospace";
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: TIME_ZONE });
+}
+
+function momentumLabel(m) {
+  if (m.direction === 'new') return 'NEW';
+  return `${m.change > 0 ? '+' : ''}${m.change}%`;
+}
+
+// Briefs with status insufficientData get this in place of the regime,
+// sentiment, fear and narrative
+function thinNote(brief) {
+  const n = brief.scans.length;
+  return `Only ${n} scan${n === 1 ? '' : 's'} in this window: too few to read a regime.`;
+}
+
+function digestText(brief, { url } = {}) {
+  const { regime, sentiment, fear, tickers, momentum, highEngagement } = brief;
+  const reading = brief.status === 'insufficientData'
+    ? [NO_DATA_REGIME.label, '', thinNote(brief)]
+    : [
+      `${regime.label} · ${sentiment.bull}% bull / ${sentiment.bear}% bear (ratio ${sentiment.ratio}, ${String(sentiment.trend).toLowerCase()})`,
+      `Fear gauge: ${fear.level} (${fear.score})`,
+      '',
+      brief.narrative
+    ];
+  const lines = [
+    `CT DAILY BRIEF — ${formatDate(brief.asOf)}`,
+    '',
+    ...reading,
+    '',
+    'TOP TICKERS',
+    ...tickers.slice(0, 10).map((t, i) => `  ${String(i + 1).padStart(2)}. $${t.name} — ${t.mentions} mentions`)
+  ];
+  if (momentum.length) {
+    lines.push('', 'MOMENTUM', ...momentum.slice(0, 8).map(m => `  $${m.ticker} ${momentumLabel(m)}`));
+  }
+  if (highEngagement.length) {
+    lines.push('', 'HIGHEST ENGAGEMENT');
+    for (const p of highEngagement.slice(0, 5)) {
+      lines.push(`  @${p.author || 'unknown'} (${(p.likes || 0).toLocaleString()} likes): ${p.text.replace(/\s+/g, ' ').slice(0, 140)}`);
+      if (p.url) lines.push(`  ${p.url}`);
+    }
+  }
+  lines.push('', `${brief.scans.length} scans analyzed over ${brief.hours}h.`);
+  if (url) lines.push(`Full brief: ${url}`);
+  lines.push('Not financial advice.');
+  return lines.join('\n') + '\n';
+}
+
+// Compact HTML block shared by the digest and feed entries
+function summaryHtml(brief) {
+  const { sentiment, fear, tickers, momentum } = brief;
+  const thin = brief.status === 'insufficientData';
+  const regime = thin ? NO_DATA_REGIME : brief.regime;
+  return `<p style="margin: 0 0 12px; font-family: ${FONT}; font-size: 13px; font-weight: 600; letter-spacing: 1px; color: ${regime.color};">${regime.emoji} ${regime.label}</p>
+${thin ? '' : `<p style="margin: 0 0 16px; font-family: ${MONO}; font-size: 13px; color: #555;">${sentiment.bull}% bull · ${sentiment.bear}% bear · ratio ${sentiment.ratio} · fear ${fear.emoji} ${fear.level}</p>
+`}<p style="margin: 0 0 20px; font-family: ${FONT}; font-size: 15px; line-height: 1.6; color: #222;">${escapeHtml(thin ? thinNote(brief) : brief.narrative)}</p>
+<p style="margin: 0 0 6px; font-family: ${FONT}; font-size: 11px; font-weight: 600; letter-spacing: 2px; text-transform: uppercase; color: #888;">Top Tickers</p>
+<p style="margin: 0 0 20px; font-family: ${MONO}; font-size: 13px; color: #222;">${tickers.slice(0, 10).map(t => `$${escapeHtml(t.name)} <span style="color: #888;">${t.mentions}</span>`).join(' · ') || 'No mentions'}</p>
+${momentum.length ? `<p style="margin: 0 0 6px; font-family: ${FONT}; font-size: 11px; font-weight: 600; letter-spacing: 2px; text-transform: uppercase; color: #888;">Momentum</p>
+<p style="margin: 0 0 20px; font-family: ${MONO}; font-size: 13px; color: #222;">${momentum.slice(0, 8).map(m => `$${escapeHtml(m.ticker)} <span style="color: ${m.direction === 'down' ? '#dc2626' : m.direction === 'new' ? '#6366f1' : '#16a34a'};">${momentumLabel(m)}</span>`).join(' · ')}</p>` : ''}`;
+}
+
+function digestHtml(brief, { url } = {}) {
+  const posts = brief.highEngagement.slice(0, 5).map(p => `
+<tr><td style="padding: 10px 0; border-top: 1px solid #eee; font-family: ${FONT}; font-size: 13px; color: #444; line-height: 1.5;">
+  <strong style="color: #222;">@${escapeHtml(p.author || 'unknown')}</strong> <span style="color: #dc2626;">❤️ ${(p.likes || 0).toLocaleString()}</span><br>
+  ${escapeHtml(p.text.slice(0, 200))}${p.url ? ` <a href="${escapeHtml(p.url)}" style="color: #6366f1; text-decoration: none;">View →</a>` : ''}
+</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>CT Daily Brief — ${formatDate(brief.asOf)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f4f7;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f7;">
+<tr><td align="center" style="padding: 24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; width: 100%; background: #ffffff; border-radius: 8px; border-top: 4px solid ${(brief.status === 'insufficientData' ? NO_DATA_REGIME : brief.regime).color};">
+<tr><td style="padding: 28px 32px 8px;">
+<p style="margin: 0 0 4px; font-family: ${FONT}; font-size: 11px; font-weight: 600; letter-spacing: 2px; text-transform: uppercase; color: #888;">CT Daily Brief</p>
+<p style="margin: 0 0 20px; font-family: ${FONT}; font-size: 22px; font-weight: 700; color: #111;">${formatDate(brief.asOf)}</p>
+${summaryHtml(brief)}
+</td></tr>
+${posts ? `<tr><td style="padding: 0 32px 16px;">
+<p style="margin: 0 0 6px; font-family: ${FONT}; font-size: 11px; font-weight: 600; letter-spacing: 2px; text-transform: uppercase; color: #888;">Highest Engagement</p>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${posts}
+</table>
+</td></tr>` : ''}
+<tr><td style="padding: 16px 32px 28px; border-top: 1px solid #eee; font-family: ${FONT}; font-size: 12px; color: #888; line-height: 1.6;">
+${brief.scans.length} scans analyzed over ${brief.hours}h.${url ? ` <a href="${escapeHtml(url)}" style="color: #6366f1; text-decoration: none;">Read the full brief →</a>` : ''}<br>
+Not financial advice. An AI agent watching markets and sharing what it sees.
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+module.exports = { digestText, digestHtml, summaryHtml, formatDate };
@@ -0,0 +1,148 @@
+const { setImmediate: nextTick } = require('timers/promises');
+const { inCategories } = require('./tickers');
+const { HOUR } = require('./time');
+
+// Bulk exports: the archive as flat rows, one dataset at a time.
+//
+//   scans      one row per scan
+//   tickers    one row per ticker per scan (scan.tickers: the scanner's
+//              topTickers/byCategory counts)
+//   tweets     one row per tweet per scan
+//   sentiment  one row per scan
+//
+// ?category= keeps the tickers in those categories, and the tweets that
+// mention one of them; datasets without `byCategory` are whole-scan rows
+// and can't be filtered that way.
+// Rows have the same columns in every format so they load straight into a
+// dataframe or a Parquet table. CSV joins list columns with spaces; NDJSON
+// keeps them as arrays. Scans are read a day at a time and each batch is
+// written before the next is read, waiting on the socket when it's full,
+// so a full-archive dump neither piles up in memory nor holds the event loop.
+
+const FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' }
+};
+
+const BATCH_HOURS = 24;
+
+function share(n, total) {
+  return total ? +(n / total * 100).toFixed(2) : null;
+}
+
+// The scan's tweets that mention a ticker in `categories` (all of them
+// without a filter)
+function inCategoryTweets(scan, categories) {
+  if (!categories) return scan.tweets;
+  const symbols = new Set(scan.tickers.filter(t => inCategories(t, categories)).map(t => t.symbol.toUpperCase()));
+  return scan.tweets.filter(t => t.tickers.some(symbol => symbols.has(symbol.toUpperCase())));
+}
+
+const DATASETS = {
+  scans: {
+    columns: ['timestamp', 'file', 'format', 'totalTweets', 'tickers', 'tweets', 'topTicker', 'bullish', 'bearish', 'neutral'],
+    rows: scan => [{
+      timestamp: scan.timestamp,
+      file: scan.file,
+      format: scan.format,
+      totalTweets: scan.stats.totalTweets,
+      tickers: scan.tickers.length,
+      tweets: scan.tweets.length,
+      topTicker: scan.tickers[0]?.symbol || null,
+      bullish: scan.sentiment.bullish,
+      bearish: scan.sentiment.bearish,
+      neutral: scan.sentiment.neutral
+    }]
+  },
+  tickers: {
+    byCategory: true,
+    columns: ['timestamp', 'rank', 'symbol', 'category', 'count', 'rawTweets'],
+    rows: (scan, { categories }) => scan.tickers
+      .map((t, i) => ({
+        timestamp: scan.timestamp,
+        rank: i + 1,
+        symbol: t.symbol,
+        category: t.category || null,
+        count: t.count,
+        rawTweets: scan.rawTweetCounts?.[t.symbol] ?? null
+      }))
+      .filter(row => inCategories(row, categories))
+  },
+  tweets: {
+    byCategory: true,
+    columns: ['timestamp', 'key', 'author', 'retweetedBy', 'text', 'likes', 'retweets', 'url', 'tickers'],
+    rows: (scan, { categories }) => inCategoryTweets(scan, categories).map(t => ({
+      timestamp: scan.timestamp,
+      key: t.key || null,
+      author: t.author || null,
+      retweetedBy: t.retweetedBy || [],
+      text: t.text,
+      likes: t.likes,
+      retweets: t.retweets,
+      url: t.url || null,
+      tickers: t.tickers
+    }))
+  },
+  sentiment: {
+    columns: ['timestamp', 'totalTweets', 'bullish', 'bearish', 'neutral', 'total', 'bullPct', 'bearPct'],
+    rows: scan => [{
+      timestamp: scan.timestamp,
+      totalTweets: scan.stats.totalTweets,
+      bullish: scan.sentiment.bullish,
+      bearish: scan.sentiment.bearish,
+      neutral: scan.sentiment.neutral,
+      total: scan.sentiment.total,
+      bullPct: share(scan.sentiment.bullish, scan.sentiment.total),
+      bearPct: share(scan.sentiment.bearish, scan.sentiment.total)
+    }]
+  }
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function encodeRow(format, columns, row) {
+  if (format === 'ndjson') return `${JSON.stringify(row)}\n`;
+  return `${columns.map(c => csvCell(row[c])).join(',')}\r\n`;
+}
+
+// Resolves once `out` can take more, or has gone away
+function drain(out) {
+  return new Promise(resolve => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+// Writes the rows of scans with from <= ts < to to `out` (an HTTP response
+// or any writable); `range(from, to)` is the store's window query. Stops
+// early if `out` closes. Resolves with the number of rows written.
+async function writeExport(out, range, { dataset, format, from, to, categories = null }) {
+  const { columns, rows } = DATASETS[dataset];
+  let written = 0;
+  if (format === 'csv') out.write(`${columns.join(',')}\r\n`);
+
+  for (let start = from; start < to && !out.destroyed; start += BATCH_HOURS * HOUR) {
+    let chunk = '';
+    for (const scan of range(start, Math.min(start + BATCH_HOURS * HOUR, to))) {
+      for (const row of rows(scan, { categories })) {
+        chunk += encodeRow(format, columns, row);
+        written++;
+      }
+    }
+    if (!chunk) continue;
+    if (!out.write(chunk)) await drain(out);
+    else await nextTick();
+  }
+  return written;
+}
+
+module.exports = { DATASETS, FORMATS, writeExport };
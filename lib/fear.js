@@ -0,0 +1,84 @@
+const { getConfig } = require('./config');
+
+// Fear gauge: a weighted composite of safe-haven chatter, macro stress
+// terms and the bearish share of sentiment. Every component is measured per
+// 100 tweets so a 252-tweet scan doesn't look twice as fearful as a 100-tweet one.
+// Scans without keyword tallies (v1 and history entries) stay out of the
+// metals and macro rates rather than counting as tweets with none.
+// Terms, weights and level cutoffs come from config `fear`.
+
+const { fear } = getConfig();
+const HAVEN_METALS = fear.havenMetals;
+const MACRO_TERMS = fear.macroTerms;
+
+// `saturation` is the per-100-tweet rate at which a component maxes out
+const COMPONENTS = fear.components;
+
+const LEVELS = [
+  { min: fear.levels.extreme, level: 'EXTREME', emoji: '🔴', color: '#ef4444' },
+  { min: fear.levels.high, level: 'HIGH', emoji: '🟠', color: '#f97316' },
+  { min: fear.levels.elevated, level: 'ELEVATED', emoji: '🟡', color: '#eab308' },
+  { min: 0, level: 'NORMAL', emoji: '🟢', color: '#22c55e' }
+];
+
+function sumTerms(group, terms) {
+  const counts = {};
+  for (const term of terms) {
+    if (group[term]) counts[term] = group[term];
+  }
+  return counts;
+}
+
+function addInto(target, counts) {
+  for (const [k, v] of Object.entries(counts)) target[k] = (target[k] || 0) + v;
+}
+
+function component(name, mentions, terms, tweets) {
+  const { weight, saturation } = COMPONENTS[name];
+  const per100 = tweets > 0 ? mentions / tweets * 100 : 0;
+  const normalized = Math.min(per100 / saturation, 1);
+  return {
+    mentions,
+    per100: +per100.toFixed(2),
+    normalized: +normalized.toFixed(3),
+    weight,
+    contribution: +(normalized * weight * 100).toFixed(1),
+    terms
+  };
+}
+
+function getFearLevel(scans) {
+  let tweets = 0;
+  let keywordTweets = 0;
+  let sentimentTotal = 0;
+  let bearish = 0;
+  const metals = {};
+  const macro = {};
+
+  for (const scan of scans) {
+    tweets += scan.stats.totalTweets;
+    sentimentTotal += scan.sentiment.total;
+    bearish += scan.sentiment.bearish;
+    if (scan.hasKeywords === false) continue;
+    keywordTweets += scan.stats.totalTweets;
+    // Older scans only have the commodities group
+    const metalGroup = Object.keys(scan.keywordMentions.metals).length
+      ? scan.keywordMentions.metals
+      : scan.keywordMentions.commodities;
+    addInto(metals, sumTerms(metalGroup, HAVEN_METALS));
+    addInto(macro, sumTerms(scan.keywordMentions.macro, MACRO_TERMS));
+  }
+
+  const total = counts => Object.values(counts).reduce((s, n) => s + n, 0);
+  const components = {
+    metals: component('metals', total(metals), metals, keywordTweets),
+    macro: component('macro', total(macro), macro, keywordTweets),
+    bearish: component('bearish', bearish, undefined, sentimentTotal)
+  };
+  const score = +Object.values(components).reduce((s, c) => s + c.contribution, 0).toFixed(1);
+  const { min, ...level } = LEVELS.find(l => score >= l.min);
+
+  return { ...level, score, tweets, components };
+}
+
+module.exports = { getFearLevel, FEAR_LEVELS: LEVELS, MACRO_TERMS, HAVEN_METALS };
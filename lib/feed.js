@@ -0,0 +1,50 @@
+const { escapeHtml } = require('./layout');
+
+// Atom and RSS 2.0 renderers. Each entry is
+// { id, url, title, updated (ms), summary, html }.
+
+// The feed's <updated> is its newest entry's, or `updated` (ms, default
+// now) when there are none
+function renderAtom({ title, siteUrl, feedUrl, entries, updated = Date.now() }) {
+  const feedUpdated = new Date(entries.length ? Math.max(...entries.map(e => e.updated)) : updated).toISOString();
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <id>${escapeHtml(feedUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(siteUrl)}"/>
+  <updated>${feedUpdated}</updated>
+  <author><name>CT Daily Brief</name></author>
+${entries.map(e => `  <entry>
+    <title>${escapeHtml(e.title)}</title>
+    <id>${escapeHtml(e.id)}</id>
+    <link rel="alternate" type="text/html" href="${escapeHtml(e.url)}"/>
+    <updated>${new Date(e.updated).toISOString()}</updated>
+    <summary>${escapeHtml(e.summary)}</summary>
+    <content type="html">${escapeHtml(e.html)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function renderRss({ title, description, siteUrl, feedUrl, entries }) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(siteUrl)}</link>
+    <description>${escapeHtml(description)}</description>
+    <atom:link href="${escapeHtml(feedUrl)}" rel="self" type="application/rss+xml"/>
+${entries.map(e => `    <item>
+      <title>${escapeHtml(e.title)}</title>
+      <link>${escapeHtml(e.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(e.url)}</guid>
+      <pubDate>${new Date(e.updated).toUTCString()}</pubDate>
+      <description>${escapeHtml(e.html)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = { renderAtom, renderRss };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const scanSchema = require('./schemas/scan.json');
+
+// Scans pushed over HTTP (POST /api/scans) are checked against the scanner's
+// own output format before anything touches the data dir.
+
+const ajv = new Ajv({ allErrors: true, strictTuples: false });
+addFormats(ajv);
+const validateScan = ajv.compile(scanSchema);
+
+// Accepts a single scan, an array, or { scans: [...] }
+function unwrapBatch(body) {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.scans) && !body.timestamp) return body.scans;
+  return [body];
+}
+
+// ajv reports "/sentiment/bullish"; callers want "sentiment.bullish"
+function fieldPath(error) {
+  const parts = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') parts.push(error.params.missingProperty);
+  return parts.join('.') || '(root)';
+}
+
+// The top-level anyOf (topTickers or byCategory) reports each branch that
+// failed plus itself; collapse that to one readable error
+function describeErrors(errors) {
+  const seen = new Set();
+  return errors
+    .filter(e => !e.schemaPath.startsWith('#/anyOf/'))
+    .map(e => e.schemaPath === '#/anyOf'
+      ? { field: 'topTickers', message: 'must include topTickers or byCategory' }
+      : { field: fieldPath(e), message: e.message })
+    .filter(e => !seen.has(`${e.field}:${e.message}`) && seen.add(`${e.field}:${e.message}`));
+}
+
+// Returns { scans } or { errors: [{ index, field, message }] }; one bad scan
+// rejects the whole batch so a retry can't leave it half-applied
+function validateBatch(body) {
+  const scans = unwrapBatch(body);
+  if (!scans.length) return { errors: [{ index: null, field: 'scans', message: 'must contain at least one scan' }] };
+  const errors = [];
+  scans.forEach((scan, index) => {
+    if (!validateScan(scan)) {
+      for (const e of describeErrors(validateScan.errors)) errors.push({ index, ...e });
+    }
+  });
+  return errors.length ? { errors } : { scans };
+}
+
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// scan-2026-02-11T10-17-00-000Z.json
+function scanFileName(timestamp) {
+  return `scan-${new Date(timestamp).toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+module.exports = { validateBatch, tokenMatches, scanFileName, scanSchema };
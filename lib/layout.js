@@ -0,0 +1,457 @@
+// Shared page shell: every HTML page uses the brief's dark theme, with the
+// accent colour set per page (regime colour on the brief, sentiment on tickers).
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderStyles(accent, fear) {
+  return `  @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap');
+  
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  
+  :root {
+    --bg: #0a0a0f;
+    --surface: #12121a;
+    --surface2: #1a1a25;
+    --border: #2a2a3a;
+    --text: #e4e4ed;
+    --text2: #8888a0;
+    --accent: ${accent};
+    --fear: ${fear};
+  }
+  
+  body {
+    font-family: 'Inter', -apple-system, sans-serif;
+    background: var(--bg);
+    color: var(--text);
+    line-height: 1.6;
+    min-height: 100vh;
+  }
+  
+  .container {
+    max-width: 680px;
+    margin: 0 auto;
+    padding: 40px 24px 80px;
+  }
+  
+  header {
+    margin-bottom: 48px;
+    border-bottom: 1px solid var(--border);
+    padding-bottom: 32px;
+  }
+  
+  .masthead {
+    font-size: 11px;
+    font-weight: 500;
+    letter-spacing: 2px;
+    text-transform: uppercase;
+    color: var(--text2);
+    margin-bottom: 8px;
+  }
+  
+  .date {
+    font-size: 28px;
+    font-weight: 700;
+    margin-bottom: 4px;
+  }
+  
+  .time {
+    font-size: 14px;
+    color: var(--text2);
+  }
+  
+  .scan-count {
+    font-size: 12px;
+    color: var(--text2);
+    margin-top: 4px;
+    font-family: 'JetBrains Mono', monospace;
+  }
+  
+  /* Regime Banner */
+  .regime-banner {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-left: 4px solid var(--accent);
+    border-radius: 8px;
+    padding: 24px;
+    margin-bottom: 32px;
+  }
+  
+  .regime-label {
+    font-size: 13px;
+    font-weight: 600;
+    letter-spacing: 1.5px;
+    text-transform: uppercase;
+    color: var(--accent);
+    margin-bottom: 12px;
+  }
+  
+  .regime-stats {
+    display: grid;
+    grid-template-columns: repeat(4, 1fr);
+    gap: 16px;
+  }
+  
+  .stat {
+    text-align: center;
+  }
+  
+  .stat-value {
+    font-size: 22px;
+    font-weight: 700;
+    font-family: 'JetBrains Mono', monospace;
+  }
+  
+  .stat-label {
+    font-size: 11px;
+    color: var(--text2);
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    margin-top: 4px;
+  }
+  
+  .regime-note {
+    font-size: 11px;
+    font-family: 'JetBrains Mono', monospace;
+    color: var(--text2);
+    text-align: center;
+    margin-top: 16px;
+  }
+  
+  /* Narrative */
+  .narrative {
+    font-size: 16px;
+    line-height: 1.7;
+    color: var(--text);
+    margin-bottom: 40px;
+    padding: 0 4px;
+  }
+  
+  /* Sections */
+  .section {
+    margin-bottom: 40px;
+  }
+  
+  .section-title {
+    font-size: 12px;
+    font-weight: 600;
+    letter-spacing: 2px;
+    text-transform: uppercase;
+    color: var(--text2);
+    margin-bottom: 16px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid var(--border);
+  }
+  
+  /* Tickers */
+  .ticker-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+    gap: 8px;
+  }
+  
+  .ticker {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    padding: 12px;
+    text-align: center;
+    transition: border-color 0.2s;
+  }
+  
+  a.ticker {
+    display: block;
+    text-decoration: none;
+    color: inherit;
+  }
+  
+  .ticker:hover {
+    border-color: var(--accent);
+  }
+  
+  .ticker-name {
+    font-family: 'JetBrains Mono', monospace;
+    font-weight: 600;
+    font-size: 14px;
+    color: var(--accent);
+  }
+  
+  .ticker-count {
+    font-size: 12px;
+    color: var(--text2);
+    margin-top: 4px;
+  }
+  
+  /* Momentum */
+  .momentum-list {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+  
+  .momentum-item {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    padding: 12px 16px;
+  }
+  
+  .momentum-ticker {
+    font-family: 'JetBrains Mono', monospace;
+    font-weight: 600;
+    font-size: 14px;
+  }
+  
+  .author-link {
+    color: inherit;
+    text-decoration: none;
+  }
+  
+  .author-link:hover {
+    color: var(--accent);
+  }
+  
+  .momentum-change {
+    font-family: 'JetBrains Mono', monospace;
+    font-weight: 600;
+    font-size: 14px;
+  }
+  
+  .momentum-change.up { color: #4ade80; }
+  .momentum-change.down { color: #ef4444; }
+  .momentum-change.new { color: #818cf8; }
+  
+  .momentum-bar {
+    height: 3px;
+    border-radius: 2px;
+    margin-top: 4px;
+  }
+  
+  /* Fear Gauge */
+  .fear-gauge {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-left: 4px solid var(--fear);
+    border-radius: 8px;
+    padding: 20px 24px;
+    margin-bottom: 12px;
+  }
+  
+  .fear-level {
+    font-size: 13px;
+    font-weight: 600;
+    letter-spacing: 1px;
+    text-transform: uppercase;
+    color: var(--fear);
+    margin-bottom: 8px;
+  }
+  
+  .commodity-row {
+    display: flex;
+    gap: 16px;
+    flex-wrap: wrap;
+  }
+  
+  .commodity {
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 13px;
+    color: var(--text2);
+  }
+  
+  .commodity strong {
+    color: var(--text);
+  }
+  
+  .fear-components {
+    margin-bottom: 8px;
+  }
+  
+  /* High Engagement */
+  .post {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    padding: 16px 20px;
+    margin-bottom: 8px;
+    transition: border-color 0.2s;
+  }
+  
+  .post:hover {
+    border-color: var(--text2);
+  }
+  
+  .post-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 8px;
+  }
+  
+  .post-author {
+    font-weight: 600;
+    font-size: 14px;
+  }
+  
+  .post-likes {
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 13px;
+    color: #ef4444;
+  }
+  
+  .post-text {
+    font-size: 14px;
+    color: var(--text2);
+    line-height: 1.5;
+  }
+  
+  .post a {
+    color: var(--accent);
+    text-decoration: none;
+    font-size: 12px;
+    opacity: 0.7;
+  }
+  
+  .post a:hover { opacity: 1; }
+
+  .post-retweets {
+    font-size: 12px;
+    color: var(--text2);
+    margin-top: 4px;
+  }
+  
+  /* Time Controls */
+  .time-controls {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-bottom: 12px;
+  }
+  
+  .range-form {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 32px;
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 12px;
+    color: var(--text2);
+  }
+  
+  .range-form input[type="date"] {
+    padding: 5px 8px;
+    font: inherit;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    color: var(--text);
+    color-scheme: dark;
+  }
+  
+  .range-form label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  
+  /* Compare mode */
+  .delta {
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 11px;
+    margin-top: 4px;
+    color: var(--text2);
+  }
+  
+  .delta span { color: var(--text2); }
+  .delta.up { color: #4ade80; }
+  .delta.down { color: #ef4444; }
+  
+  .rank-change {
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 11px;
+    font-weight: 600;
+    margin-top: 2px;
+    color: var(--text2);
+  }
+  
+  .rank-change.up { color: #4ade80; }
+  .rank-change.down { color: #ef4444; }
+  .rank-change.new { color: #818cf8; }
+  
+  .time-btn {
+    padding: 6px 14px;
+    font-size: 12px;
+    font-family: 'JetBrains Mono', monospace;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    color: var(--text2);
+    border-radius: 4px;
+    cursor: pointer;
+    text-decoration: none;
+    transition: all 0.2s;
+  }
+  
+  .time-btn:hover, .time-btn.active {
+    border-color: var(--accent);
+    color: var(--accent);
+  }
+  
+  /* Footer */
+  footer {
+    margin-top: 60px;
+    padding-top: 24px;
+    border-top: 1px solid var(--border);
+    text-align: center;
+  }
+  
+  .footer-text {
+    font-size: 12px;
+    color: var(--text2);
+    line-height: 1.8;
+  }
+  
+  .footer-text a {
+    color: var(--text2);
+    text-decoration: none;
+    border-bottom: 1px solid var(--border);
+  }
+  
+  .footer-text a:hover {
+    color: var(--text);
+  }
+  
+  /* Responsive */
+  @media (max-width: 600px) {
+    .container { padding: 24px 16px 60px; }
+    .date { font-size: 22px; }
+    .regime-stats { grid-template-columns: repeat(2, 1fr); }
+    .ticker-grid { grid-template-columns: repeat(3, 1fr); }
+  }
+`;
+}
+
+function renderPage({ title, meta = '', accent = '#94a3b8', fear = accent, styles = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${meta}
+<style>
+${renderStyles(accent, fear)}${styles}
+</style>
+</head>
+<body>
+<div class="container">
+${body}
+</div>
+</body>
+</html>`;
+}
+
+module.exports = { escapeHtml, renderPage };
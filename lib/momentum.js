@@ -0,0 +1,118 @@
+const { countMentions } = require('./tickers');
+const { HOUR, startOfDay, formatDay } = require('./time');
+const { getConfig } = require('./config');
+
+// Momentum: is a ticker being mentioned more (or less) per tweet in the
+// recent window than in the baseline window before it?
+//
+// Conditioning on a ticker's total mentions n across both windows, the
+// recent count is Binomial(n, p0) under "no change", where p0 is the recent
+// window's share of tweet volume. That gives an exact tail probability even
+// for small counts and for tickers with no baseline mentions at all.
+
+// Config `momentum`; callers can override per request
+const { minMentions, threshold, limit } = getConfig().momentum;
+const DEFAULTS = { minMentions, threshold, limit };
+
+// Lanczos approximation, good to ~15 digits for the factorials we need
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i + 1);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function binomialPmf(k, n, p) {
+  if (p <= 0) return k === 0 ? 1 : 0;
+  if (p >= 1) return k === n ? 1 : 0;
+  return Math.exp(logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+}
+
+// One-sided tail in the direction of the observation: P(X >= k) or P(X <= k)
+function binomialTail(k, n, p, upper) {
+  let sum = 0;
+  if (upper) for (let i = k; i <= n; i++) sum += binomialPmf(i, n, p);
+  else for (let i = 0; i <= k; i++) sum += binomialPmf(i, n, p);
+  return Math.min(sum, 1);
+}
+
+// Mentions in distinct tweets, so a retweeted or re-seen tweet doesn't
+// read as a surge
+function countWindow(scans, categories) {
+  const counts = {};
+  const category = {};
+  for (const [symbol, entry] of countMentions(scans, categories)) {
+    counts[symbol] = entry.mentions;
+    if (entry.category) category[symbol] = entry.category;
+  }
+  const tweets = scans.reduce((sum, scan) => sum + scan.stats.totalTweets, 0);
+  return { counts, category, tweets };
+}
+
+function getMomentum(recentScans, baselineScans, options = {}) {
+  const { minMentions, threshold, limit, categories } = { ...DEFAULTS, ...options };
+  const recent = countWindow(recentScans, categories);
+  const baseline = countWindow(baselineScans, categories);
+  if (!recent.tweets || !baseline.tweets) return [];
+
+  const p0 = recent.tweets / (recent.tweets + baseline.tweets);
+  const symbols = new Set([...Object.keys(recent.counts), ...Object.keys(baseline.counts)]);
+  const results = [];
+
+  for (const ticker of symbols) {
+    const r = recent.counts[ticker] || 0;
+    const b = baseline.counts[ticker] || 0;
+    const n = r + b;
+    if (n < minMentions) continue;
+
+    const expected = n * p0;
+    const score = (r - expected) / Math.sqrt(n * p0 * (1 - p0));
+    if (Math.abs(score) < threshold) continue;
+
+    const recentRate = r / recent.tweets * 100;
+    const baselineRate = b / baseline.tweets * 100;
+    const up = r > expected;
+    results.push({
+      ticker,
+      category: recent.category[ticker] || baseline.category[ticker] || null,
+      recent: r,
+      baseline: b,
+      recentRate: +recentRate.toFixed(3),
+      baselineRate: +baselineRate.toFixed(3),
+      change: b > 0 ? Math.round((recentRate - baselineRate) / baselineRate * 100) : null,
+      score: +score.toFixed(2),
+      confidence: +(1 - binomialTail(r, n, p0, up)).toFixed(4),
+      direction: b === 0 ? 'new' : up ? 'up' : 'down'
+    });
+  }
+
+  return results.sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, limit);
+}
+
+// Momentum spike onsets across [from, to). Local days are stepped through
+// `windowHours` at a time, each compared with the `baselineHours` before it;
+// a ticker's onset is the start of the first window in a run of windows
+// where it is rising or new. `range(from, to)` is the store's window query.
+function findSpikes(range, { from, to, windowHours = 24, baselineHours = 168, ...options }) {
+  const spikes = [];
+  let active = new Set();
+  for (let start = startOfDay(formatDay(from)); start < to; start += windowHours * HOUR) {
+    const end = start + windowHours * HOUR;
+    const rising = getMomentum(range(start, end), range(start - baselineHours * HOUR, start), { ...options, limit: Infinity })
+      .filter(m => m.direction !== 'down');
+    for (const m of rising) {
+      if (!active.has(m.ticker)) spikes.push({ ticker: m.ticker, at: start, score: m.score, direction: m.direction });
+    }
+    active = new Set(rising.map(m => m.ticker));
+  }
+  return spikes;
+}
+
+module.exports = { getMomentum, findSpikes, MOMENTUM_DEFAULTS: DEFAULTS };
@@ -0,0 +1,380 @@
+const fs = require('fs');
+
+// The brief's narrative, assembled from data-driven templates:
+//
+//   { "id": "fear-high", "topic": "fear", "priority": 90,
+//     "when": { "fear.level": "HIGH" },
+//     "text": { "en": "The fear gauge is elevated ...", "es": "..." } }
+//
+// `when` maps context paths (see narrativeContext) to a value, a list of
+// allowed values or a comparison ({ gt, gte, lt, lte, ne }); every entry
+// must hold. Each topic contributes its highest-priority match, and the
+// sentences read in priority order. `{path}` placeholders are filled from
+// the context, optionally through a filter: `{sentiment.trend|term}`
+// translates a scanner label, `|lower` lowercases, `|abs` drops the sign.
+// Lists read as "$A, $B and $C" in the output language. A template whose
+// placeholders can't all be filled is skipped.
+//
+// A config file can replace built-in templates by id (fields given are
+// merged over the original, text per language), add new ones, or drop
+// them: { "templates": [...], "remove": ["engagement-top-post"] }
+
+const DEFAULT_LOCALE = 'en';
+const COMPARATORS = ['gt', 'gte', 'lt', 'lte', 'ne'];
+const FILTERS = ['term', 'lower', 'abs'];
+
+// Scanner labels as each language reads them
+const TERMS = {
+  en: {
+    RISING: 'rising', DECLINING: 'declining', STABLE: 'stable', UNKNOWN: 'unknown'
+  },
+  es: {
+    EUPHORIA: 'EUFORIA', BULLISH: 'ALCISTA', 'LEANING BULL': 'LIGERAMENTE ALCISTA', NEUTRAL: 'NEUTRAL',
+    'LEANING BEAR': 'LIGERAMENTE BAJISTA', BEARISH: 'BAJISTA',
+    EXTREME: 'EXTREMO', HIGH: 'ALTO', ELEVATED: 'ELEVADO', NORMAL: 'NORMAL',
+    RISING: 'en alza', DECLINING: 'a la baja', STABLE: 'estable', UNKNOWN: 'incierto'
+  }
+};
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'opening-euphoria', topic: 'opening', priority: 100, when: { regime: 'EUPHORIA' },
+    text: {
+      en: 'CT is running hot. Multiple signals pointing toward risk-on euphoria.',
+      es: 'CT está al rojo vivo. Varias señales apuntan a una euforia de riesgo.'
+    }
+  },
+  {
+    id: 'opening-bullish', topic: 'opening', priority: 100, when: { regime: 'BULLISH' },
+    text: {
+      en: 'Structural optimism holds with a {sentiment.ratio}:1 bull/bear ratio, though the mood is {sentiment.trend|term}.',
+      es: 'El optimismo estructural se mantiene con una relación alcista/bajista de {sentiment.ratio}:1, aunque el ánimo está {sentiment.trend|term}.'
+    }
+  },
+  {
+    id: 'opening-leaning-bull', topic: 'opening', priority: 100, when: { regime: 'LEANING BULL' },
+    text: {
+      en: 'Mild optimism with a {sentiment.ratio}:1 bull/bear ratio. Not euphoria, not conviction — somewhere in between.',
+      es: 'Optimismo moderado con una relación alcista/bajista de {sentiment.ratio}:1. Ni euforia ni convicción: algo intermedio.'
+    }
+  },
+  {
+    id: 'opening-neutral', topic: 'opening', priority: 100, when: { regime: 'NEUTRAL' },
+    text: {
+      en: 'Markets are in wait-and-see mode. Neither conviction nor fear dominating.',
+      es: 'Los mercados están a la espera. No domina ni la convicción ni el miedo.'
+    }
+  },
+  {
+    id: 'opening-leaning-bear', topic: 'opening', priority: 100, when: { regime: 'LEANING BEAR' },
+    text: {
+      en: 'Caution is creeping in. Bears edging above bulls but no panic.',
+      es: 'La cautela avanza. Los bajistas superan por poco a los alcistas, pero sin pánico.'
+    }
+  },
+  {
+    id: 'opening-bearish', topic: 'opening', priority: 100, when: { regime: 'BEARISH' },
+    text: {
+      en: 'Fear dominates. Bears have the floor.',
+      es: 'Domina el miedo. Los bajistas tienen la palabra.'
+    }
+  },
+  {
+    id: 'fear-extreme', topic: 'fear', priority: 90, when: { 'fear.level': 'EXTREME' },
+    text: {
+      en: 'Haven and macro chatter are at extreme levels — historically this precedes volatility, not necessarily direction.',
+      es: 'Las menciones a refugios y macro están en niveles extremos: históricamente esto anticipa volatilidad, no necesariamente dirección.'
+    }
+  },
+  {
+    id: 'fear-high', topic: 'fear', priority: 90, when: { 'fear.level': 'HIGH' },
+    text: {
+      en: 'The fear gauge is elevated. Commodity mentions suggest macro uncertainty is on traders\' minds.',
+      es: 'El indicador de miedo está alto. Las menciones a materias primas sugieren que la incertidumbre macro preocupa a los traders.'
+    }
+  },
+  {
+    id: 'momentum-rising', topic: 'momentum-rising', priority: 80, when: { 'rising.length': { gte: 1 } },
+    text: {
+      en: 'Attention building on {rising}.',
+      es: 'Crece la atención sobre {rising}.'
+    }
+  },
+  {
+    id: 'momentum-falling', topic: 'momentum-falling', priority: 70, when: { 'falling.length': { gte: 1 } },
+    text: {
+      en: 'Narrative fading for {falling}.',
+      es: 'Se apaga la narrativa de {falling}.'
+    }
+  },
+  {
+    id: 'change-regime', topic: 'change', priority: 60, when: { 'changed.regime': true },
+    text: {
+      en: 'The mood has shifted from {previous.regime|term} to {regime|term} since the prior {hours}h.',
+      es: 'El ánimo pasó de {previous.regime|term} a {regime|term} respecto a las {hours} h anteriores.'
+    }
+  },
+  {
+    id: 'change-bulls-up', topic: 'change', priority: 59, when: { 'delta.bull': { gte: 5 } },
+    text: {
+      en: 'Bulls are up {delta.bull} points on the prior {hours}h.',
+      es: 'Los alcistas ganan {delta.bull} puntos frente a las {hours} h anteriores.'
+    }
+  },
+  {
+    id: 'change-bulls-down', topic: 'change', priority: 59, when: { 'delta.bull': { lte: -5 } },
+    text: {
+      en: 'Bulls are down {delta.bull|abs} points on the prior {hours}h.',
+      es: 'Los alcistas pierden {delta.bull|abs} puntos frente a las {hours} h anteriores.'
+    }
+  },
+  {
+    id: 'change-fear', topic: 'change-fear', priority: 58, when: { 'changed.fear': true },
+    text: {
+      en: 'The fear gauge moved from {previous.fear|term} to {fear.level|term}.',
+      es: 'El indicador de miedo pasó de {previous.fear|term} a {fear.level|term}.'
+    }
+  },
+  {
+    id: 'rotation-memes', topic: 'rotation', priority: 50, when: { 'rotation.shift': { gte: 10 } },
+    text: {
+      en: 'Rotation into memes: small caps drew {rotation.memes}% of ticker chatter, up from {rotation.previousMemes}%.',
+      es: 'Rotación hacia las memecoins: las small caps acapararon el {rotation.memes}% de las menciones, frente al {rotation.previousMemes}%.'
+    }
+  },
+  {
+    id: 'rotation-majors', topic: 'rotation', priority: 50, when: { 'rotation.shift': { lte: -10 } },
+    text: {
+      en: 'Rotation into majors: they drew {rotation.majors}% of ticker chatter, up from {rotation.previousMajors}%.',
+      es: 'Rotación hacia las principales: concentraron el {rotation.majors}% de las menciones, frente al {rotation.previousMajors}%.'
+    }
+  },
+  {
+    id: 'rotation-memes-dominant', topic: 'rotation', priority: 49, when: { 'rotation.memes': { gte: 90 } },
+    text: {
+      en: 'Memes own the feed with {rotation.memes}% of ticker chatter.',
+      es: 'Las memecoins dominan el feed con el {rotation.memes}% de las menciones.'
+    }
+  },
+  {
+    id: 'engagement-top-post', topic: 'engagement', priority: 40, when: { 'topPost.likes': { gte: 1 } },
+    text: {
+      en: 'Loudest post: {topPost.author} with {topPost.likes} likes — "{topPost.excerpt}"',
+      es: 'La publicación más sonada: {topPost.author}, con {topPost.likes} me gusta: «{topPost.excerpt}»'
+    }
+  }
+];
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+function matches(value, expected) {
+  if (Array.isArray(expected)) return expected.includes(value);
+  if (expected && typeof expected === 'object') {
+    if (value === undefined || value === null) return false;
+    return Object.entries(expected).every(([op, bound]) =>
+      op === 'gt' ? value > bound
+        : op === 'gte' ? value >= bound
+          : op === 'lt' ? value < bound
+            : op === 'lte' ? value <= bound
+              : value !== bound);
+  }
+  return value === expected;
+}
+
+function applies(template, context) {
+  return Object.entries(template.when || {}).every(([path, expected]) => matches(lookup(context, path), expected));
+}
+
+function formatValue(value, filter, lang) {
+  if (filter === 'abs' && typeof value === 'number') value = Math.abs(value);
+  if (Array.isArray(value)) return new Intl.ListFormat(lang, { type: 'conjunction' }).format(value.map(String));
+  if (typeof value === 'number') return value.toLocaleString(lang, { maximumFractionDigits: 2 });
+  let text = String(value);
+  if (filter === 'term') text = TERMS[lang]?.[text] ?? text;
+  if (filter === 'lower') text = text.toLowerCase();
+  return text;
+}
+
+// null when a placeholder has no value in the context
+function fill(text, context, lang) {
+  let missing = false;
+  const out = text.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (_, path, filter) => {
+    const value = lookup(context, path);
+    if (value === undefined || value === null || (Array.isArray(value) && !value.length)) {
+      missing = true;
+      return '';
+    }
+    return formatValue(value, filter, lang);
+  });
+  return missing ? null : out;
+}
+
+function renderNarrative(templates, context, lang = DEFAULT_LOCALE) {
+  const used = new Set();
+  const parts = [];
+  const ordered = templates
+    .map((template, i) => ({ template, i }))
+    .sort((a, b) => b.template.priority - a.template.priority || a.i - b.i);
+  for (const { template } of ordered) {
+    if (used.has(template.topic) || !applies(template, context)) continue;
+    const text = template.text[lang] ?? template.text[DEFAULT_LOCALE];
+    const sentence = text && fill(text, context, lang);
+    if (!sentence) continue;
+    used.add(template.topic);
+    parts.push(sentence);
+  }
+  return parts.join(' ');
+}
+
+function excerpt(text, length = 80) {
+  const flat = text.replace(/https?:\/\/\S+/g, '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1).trimEnd()}…` : flat;
+}
+
+// Share of ticker mentions between the memes and majors sections, in %
+function rotationShares(shares) {
+  const total = shares ? shares.memes + shares.majors : 0;
+  if (!total) return null;
+  return { memes: Math.round(shares.memes / total * 100), majors: Math.round(shares.majors / total * 100) };
+}
+
+// Everything templates can refer to. `previous` is the same summary for the
+// window of equal length right before this one, or null if it had no scans.
+// `shares` are { memes, majors } mention totals.
+function narrativeContext({ hours, sentiment, regime, fear, momentum, highEngagement, shares, previous }) {
+  const now = rotationShares(shares);
+  const before = previous && rotationShares(previous.shares);
+  const top = highEngagement[0];
+  return {
+    hours,
+    regime: regime.label,
+    sentiment: {
+      bull: Number(sentiment.bull),
+      bear: Number(sentiment.bear),
+      ratio: Number(sentiment.ratio),
+      trend: sentiment.trend,
+      tweets: sentiment.tweets
+    },
+    fear: { level: fear.level, score: fear.score },
+    rising: momentum.filter(m => m.direction === 'up' || m.direction === 'new').slice(0, 3).map(m => `$${m.ticker}`),
+    falling: momentum.filter(m => m.direction === 'down').slice(0, 3).map(m => `$${m.ticker}`),
+    topPost: top ? { author: `@${top.author || 'unknown'}`, likes: top.likes || 0, excerpt: excerpt(top.text || '') } : null,
+    rotation: now && {
+      ...now,
+      previousMemes: before ? before.memes : null,
+      previousMajors: before ? before.majors : null,
+      shift: before ? now.memes - before.memes : null
+    },
+    previous: previous && {
+      regime: previous.regime.label,
+      bull: Number(previous.sentiment.bull),
+      bear: Number(previous.sentiment.bear),
+      fear: previous.fear.level
+    },
+    changed: previous && {
+      regime: previous.regime.label !== regime.label,
+      fear: previous.fear.level !== fear.level
+    },
+    delta: previous && {
+      bull: +(sentiment.bull - previous.sentiment.bull).toFixed(1),
+      bear: +(sentiment.bear - previous.sentiment.bear).toFixed(1),
+      fear: fear.score - previous.fear.score
+    }
+  };
+}
+
+function validateMatcher(expected) {
+  if (expected === null || typeof expected !== 'object' || Array.isArray(expected)) return true;
+  const ops = Object.keys(expected);
+  return ops.length > 0 && ops.every(op => COMPARATORS.includes(op));
+}
+
+function validateTemplates(config, defaults = DEFAULT_TEMPLATES) {
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+  const templates = config.templates || [];
+  const remove = config.remove || [];
+  if (!Array.isArray(templates)) errors.push('templates must be an array');
+  if (!Array.isArray(remove)) errors.push('remove must be an array of template ids');
+  const known = new Set(defaults.map(t => t.id));
+  const ids = new Set();
+  (Array.isArray(templates) ? templates : []).forEach((t, i) => {
+    const at = `templates[${i}]`;
+    if (!t || typeof t !== 'object') return errors.push(`${at} must be an object`);
+    if (typeof t.id !== 'string' || !t.id) return errors.push(`${at}.id is required`);
+    if (ids.has(t.id)) errors.push(`${at}.id "${t.id}" is used twice`);
+    ids.add(t.id);
+    const isNew = !known.has(t.id);
+    if (isNew && (typeof t.topic !== 'string' || !t.topic)) errors.push(`${at}.topic is required for a new template`);
+    if (isNew && !t.text) errors.push(`${at}.text is required for a new template`);
+    if (t.priority !== undefined && !Number.isFinite(t.priority)) errors.push(`${at}.priority must be a number`);
+    if (t.when !== undefined) {
+      if (!t.when || typeof t.when !== 'object' || Array.isArray(t.when)) errors.push(`${at}.when must be an object`);
+      else {
+        for (const [path, expected] of Object.entries(t.when)) {
+          if (!validateMatcher(expected)) errors.push(`${at}.when["${path}"] comparisons must use ${COMPARATORS.join(', ')}`);
+        }
+      }
+    }
+    if (t.text !== undefined) {
+      if (!t.text || typeof t.text !== 'object' || Array.isArray(t.text)) errors.push(`${at}.text must map languages to text`);
+      else {
+        for (const [lang, text] of Object.entries(t.text)) {
+          try {
+            Intl.getCanonicalLocales(lang);
+          } catch (e) {
+            errors.push(`${at}.text: "${lang}" is not a language tag`);
+          }
+          if (typeof text !== 'string') errors.push(`${at}.text.${lang} must be a string`);
+          for (const [, filter] of String(text).matchAll(/\{[\w.]+\|(\w+)\}/g)) {
+            if (!FILTERS.includes(filter)) errors.push(`${at}.text.${lang}: unknown filter "${filter}" (expected ${FILTERS.join(', ')})`);
+          }
+        }
+      }
+    }
+  });
+  for (const id of Array.isArray(remove) ? remove : []) {
+    if (!known.has(id)) errors.push(`remove: no built-in template "${id}"`);
+  }
+  return errors;
+}
+
+// Built-ins with the config's overrides applied
+function mergeTemplates(config, defaults = DEFAULT_TEMPLATES) {
+  const byId = new Map(defaults.map(t => [t.id, t]));
+  for (const id of config.remove || []) byId.delete(id);
+  for (const t of config.templates || []) {
+    const base = byId.get(t.id) || { priority: 0 };
+    byId.set(t.id, { ...base, ...t, text: { ...base.text, ...t.text } });
+  }
+  return [...byId.values()];
+}
+
+function loadTemplates(file) {
+  if (!file || !fs.existsSync(file)) return DEFAULT_TEMPLATES;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateTemplates(config);
+  if (errors.length) throw new Error(`Invalid narrative config ${file}:\n  ${errors.join('\n  ')}`);
+  return mergeTemplates(config);
+}
+
+// Languages every template has text for, English first. A language only
+// some templates cover would render a mixed-language narrative.
+function availableLocales(templates) {
+  const locales = new Set([DEFAULT_LOCALE]);
+  for (const t of templates) Object.keys(t.text).forEach(lang => locales.add(lang));
+  return [...locales].filter(lang => lang === DEFAULT_LOCALE || templates.every(t => t.text[lang] !== undefined));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_TEMPLATES,
+  renderNarrative,
+  narrativeContext,
+  validateTemplates,
+  mergeTemplates,
+  loadTemplates,
+  availableLocales
+};
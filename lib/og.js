@@ -0,0 +1,227 @@
+const zlib = require('zlib');
+
+// Social preview card (og:image), drawn without a canvas library: a flat
+// RGB raster, a built-in 5x7 pixel font scaled up, and a minimal PNG
+// encoder on top of zlib. Nothing is fetched, so it renders offline.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const COLORS = {
+  bg: '#0a0a0f',
+  surface: '#12121a',
+  border: '#2a2a3a',
+  text: '#e4e4ed',
+  text2: '#8888a0'
+};
+
+// 5x7 glyphs, one 5-bit row per entry, top to bottom. Lowercase draws as
+// uppercase; anything else missing draws as '?'.
+const GLYPHS = {
+  A: [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  D: [0x1e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1e],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x0a, 0x04, 0x04, 0x04, 0x04],
+  Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  0: [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  1: [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  2: [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  3: [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  4: [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  5: [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  6: [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  7: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  8: [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  9: [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  ' ': [0, 0, 0, 0, 0, 0, 0],
+  '.': [0, 0, 0, 0, 0, 0x0c, 0x0c],
+  '…': [0, 0, 0, 0, 0, 0, 0x15],
+  ',': [0, 0, 0, 0, 0x0c, 0x04, 0x08],
+  ':': [0, 0x0c, 0x0c, 0, 0x0c, 0x0c, 0],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  '-': [0, 0, 0, 0x1f, 0, 0, 0],
+  '–': [0, 0, 0, 0x1f, 0, 0, 0],
+  '+': [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  '/': [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0],
+  $: [0x04, 0x0f, 0x14, 0x0e, 0x05, 0x1e, 0x04],
+  '·': [0, 0, 0, 0x0c, 0x0c, 0, 0],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  "'": [0x0c, 0x04, 0x08, 0, 0, 0, 0],
+  '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0, 0x04],
+  '?': [0x0e, 0x11, 0x01, 0x02, 0x04, 0, 0x04],
+  '#': [0x0a, 0x0a, 0x1f, 0x0a, 0x1f, 0x0a, 0x0a],
+  '&': [0x0c, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0d],
+  _: [0, 0, 0, 0, 0, 0, 0x1f],
+  '×': [0, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0],
+  '∞': [0, 0, 0x0a, 0x15, 0x15, 0x0a, 0]
+};
+
+// Each glyph cell is 6 units wide: 5 for the glyph, 1 of spacing
+const ADVANCE = 6;
+
+function rgb(hex) {
+  const n = parseInt(String(hex).replace('#', ''), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+function createRaster(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = rgb(background);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+
+  function fillRect(x, y, w, h, color) {
+    const [r, g, b] = rgb(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        const i = (row * width + col) * 3;
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+      }
+    }
+  }
+
+  function textWidth(text, scale) {
+    return Math.max(0, [...String(text)].length * ADVANCE - 1) * scale;
+  }
+
+  function drawText(text, x, y, scale, color) {
+    let cx = x;
+    for (const ch of String(text)) {
+      const glyph = GLYPHS[ch] || GLYPHS[ch.toUpperCase()] || GLYPHS['?'];
+      glyph.forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (0x10 >> col)) fillRect(cx + col * scale, y + row * scale, scale, scale, color);
+        }
+      });
+      cx += ADVANCE * scale;
+    }
+    return cx;
+  }
+
+  return { width, height, pixels, fillRect, textWidth, drawText };
+}
+
+// Cuts `text` to fit `width` pixels at `scale`, ending it with '…' when
+// anything was cut so a shortened symbol doesn't read as another one
+function fit(raster, text, width, scale) {
+  const full = String(text);
+  if (raster.textWidth(full, scale) <= width) return full;
+  let out = full.slice(0, -1);
+  while (out.length > 1 && raster.textWidth(`${out}…`, scale) > width) out = out.slice(0, -1);
+  return `${out}…`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit truecolor, no interlace, filter type 0 on every row
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// `regime` and `fear` as getRegimeLabel/getFearLevel return them,
+// `sentiment` from analyzeSentiment, `tickers` as [{ name, mentions }].
+// A thin window passes `note` with sentiment and fear null.
+function renderCard({ title = 'CT Daily Brief', subtitle, regime, sentiment, fear, tickers, note }) {
+  const r = createRaster(WIDTH, HEIGHT, COLORS.bg);
+  const left = 72;
+  const right = WIDTH - 72;
+
+  r.fillRect(0, 0, 16, HEIGHT, regime.color);
+  r.drawText(title, left, 56, 4, COLORS.text2);
+  if (subtitle) r.drawText(subtitle, right - r.textWidth(subtitle, 4), 56, 4, COLORS.text2);
+
+  // Long labels (NOT ENOUGH DATA) drop a size, like long ticker symbols
+  const labelScale = r.textWidth(regime.label, 14) <= right - left ? 14 : 10;
+  r.drawText(fit(r, regime.label, right - left, labelScale), left, 128 + (14 - labelScale) * 3.5, labelScale, regime.color);
+
+  const stats = sentiment ? `BULL ${sentiment.bull}%   BEAR ${sentiment.bear}%   RATIO ${sentiment.ratio}` : note || '';
+  r.drawText(fit(r, stats, right - left, 5), left, 274, 5, sentiment ? COLORS.text : COLORS.text2);
+
+  if (fear) {
+    r.fillRect(left, 344, 35, 35, fear.color);
+    r.drawText(`FEAR ${fear.level} · ${fear.score}`, left + 60, 344, 5, fear.color);
+  }
+
+  r.fillRect(left, 420, right - left, 2, COLORS.border);
+  const top = tickers.slice(0, 5);
+  const column = (right - left) / 5;
+  const peak = Math.max(...top.map(t => t.mentions), 1);
+  top.forEach((t, i) => {
+    const x = left + i * column;
+    // Long symbols drop a size before they get cut
+    const name = `$${t.name}`;
+    const scale = r.textWidth(name, 5) <= column - 24 ? 5 : 4;
+    r.drawText(fit(r, name, column - 24, scale), x, 456 + (5 - scale) * 7, scale, COLORS.text);
+    r.drawText(`${t.mentions}`, x, 512, 4, COLORS.text2);
+    r.fillRect(x, 556, column - 24, 12, COLORS.surface);
+    r.fillRect(x, 556, Math.max(4, (column - 24) * t.mentions / peak), 12, regime.color);
+  });
+  if (!top.length) r.drawText('NO TICKER MENTIONS IN THIS WINDOW', left, 456, 4, COLORS.text2);
+
+  return encodePng(r);
+}
+
+module.exports = { renderCard, encodePng, createRaster, OG_WIDTH: WIDTH, OG_HEIGHT: HEIGHT };
@@ -0,0 +1,148 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const baseSpec = require('./schemas/openapi.json');
+const { scanSchema } = require('./ingest');
+
+// The API's OpenAPI document (lib/schemas/openapi.json) and the request
+// validation driven by it.
+//
+// Lists that live in code (categories, locales, sort orders, ...) are marked
+// "x-enum": "<name>" in the document and filled in by buildSpec, so the
+// document can't drift from what the routes accept. The scan schema that
+// POST /api/scans validates against is embedded as components.schemas.Scan.
+//
+// createValidator checks the path and query parameters of every documented
+// operation. Query strings are coerced to the declared type (comma lists for
+// style: form, explode: false arrays), parameters an operation doesn't
+// declare are rejected, and every problem is reported at once. Request
+// bodies are left to the routes, which check them against the same schemas.
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function fillEnums(node, enums) {
+  if (Array.isArray(node)) return node.forEach(item => fillEnums(item, enums));
+  if (!node || typeof node !== 'object') return;
+  if (node['x-enum']) {
+    const values = enums[node['x-enum']];
+    if (!values) throw new Error(`OpenAPI document uses unknown x-enum "${node['x-enum']}"`);
+    node.enum = [...values];
+    delete node['x-enum'];
+  }
+  Object.values(node).forEach(value => fillEnums(value, enums));
+}
+
+// `enums` maps each x-enum name to its values
+function buildSpec(enums) {
+  const spec = JSON.parse(JSON.stringify(baseSpec));
+  const { $schema, ...scan } = scanSchema;
+  spec.components.schemas.Scan = JSON.parse(JSON.stringify(scan));
+  fillEnums(spec, enums);
+  return spec;
+}
+
+function resolveRef(spec, node) {
+  if (!node.$ref) return node;
+  return node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], spec);
+}
+
+function quote(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Every operation with its path pattern and resolved parameters
+function listOperations(spec) {
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths)) {
+    const names = [];
+    const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{(\w+)\\?\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    for (const method of METHODS) {
+      const op = item[method];
+      if (!op) continue;
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        pattern: new RegExp(`^${source}$`),
+        names,
+        operationId: op.operationId,
+        summary: op.summary,
+        security: op.security || null,
+        parameters: [...(item.parameters || []), ...(op.parameters || [])].map(p => resolveRef(spec, p))
+      });
+    }
+  }
+  return operations;
+}
+
+function coerce(value, schema) {
+  if (schema.type === 'array') return String(value).split(',').map(item => coerce(item.trim(), schema.items || {}));
+  if ((schema.type === 'number' || schema.type === 'integer') && NUMBER.test(value)) return Number(value);
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// ajv says "must be equal to one of the allowed values"; name them
+function describe(name, error) {
+  const field = `${name}${error.instancePath ? `[${error.instancePath.slice(1).replace(/\//g, '][')}]` : ''}`;
+  if (error.keyword === 'enum') {
+    return { field, message: `must be one of ${error.params.allowedValues.map(quote).join(', ')}`, allowed: error.params.allowedValues };
+  }
+  return { field, message: error.message };
+}
+
+// -> validate(req): [] when the request fits its operation (or isn't a
+// documented one), else [{ in, field, message, allowed? }]
+function createValidator(spec) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const operations = listOperations(spec).map(op => ({
+    ...op,
+    parameters: op.parameters.map(p => ({ ...p, validate: ajv.compile(p.schema || {}) }))
+  }));
+
+  return function validate(req) {
+    const path = `${req.baseUrl || ''}${req.path}`;
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const op = operations.find(o => o.method === method && o.pattern.test(path));
+    if (!op) return [];
+
+    const errors = [];
+    const captures = op.pattern.exec(path).slice(1);
+    const given = {
+      path: Object.fromEntries(op.names.map((name, i) => {
+        try {
+          return [name, decodeURIComponent(captures[i])];
+        } catch (e) {
+          return [name, captures[i]];
+        }
+      })),
+      query: req.query || {}
+    };
+
+    for (const param of op.parameters) {
+      const raw = given[param.in]?.[param.name];
+      if (raw === undefined || (raw === '' && param.allowEmptyValue)) {
+        if (param.required) errors.push({ in: param.in, field: param.name, message: 'is required' });
+        continue;
+      }
+      if (typeof raw !== 'string') {
+        errors.push({ in: param.in, field: param.name, message: 'must be given once' });
+        continue;
+      }
+      if (!param.validate(coerce(raw, param.schema || {}))) {
+        for (const error of param.validate.errors) errors.push({ in: param.in, ...describe(param.name, error) });
+      }
+    }
+
+    const declared = new Set(op.parameters.filter(p => p.in === 'query').map(p => p.name));
+    for (const name of Object.keys(given.query)) {
+      if (!declared.has(name)) errors.push({ in: 'query', field: name, message: `is not a parameter of ${op.method} ${op.path}` });
+    }
+    return errors;
+  };
+}
+
+module.exports = { buildSpec, listOperations, createValidator };
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('./scans');
+
+// Ticker registry: which cashtags are the same asset, which are junk, and
+// what the real ones are. Lives in a JSON file:
+//
+//   { "tickers": {
+//       "BTC": { "aliases": ["XBT"], "name": "Bitcoin", "category": "crypto-major", "chain": "bitcoin" } },
+//     "deny": ["USER", "REKT"],
+//     "noise": ["^\\d+$"] }
+//
+// Symbols match case-insensitively and resolve to an uppercase canonical, so
+// $Pokemon and $POKEMON are one ticker. Denied symbols and those matching a
+// noise pattern drop out of every aggregate. A registered category replaces
+// the scanner's. The registry is applied as scans are read and never written
+// back into them, so an edit rewrites history along with new scans.
+
+const ENTRY_FIELDS = ['aliases', 'name', 'category', 'chain'];
+
+function emptyRegistry() {
+  return { tickers: {}, deny: [], noise: [] };
+}
+
+function upper(symbol) {
+  return String(symbol).replace(/^\$/, '').trim().toUpperCase();
+}
+
+// Stored with uppercase keys so edits can address entries by symbol
+function normalizeRegistry(doc) {
+  return {
+    tickers: Object.fromEntries(Object.entries(doc.tickers || {}).map(([symbol, entry]) => [upper(symbol), entry])),
+    deny: (doc.deny || []).map(upper),
+    noise: doc.noise || []
+  };
+}
+
+function validateRegistry(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['registry must be an object'];
+  const errors = [];
+  for (const key of Object.keys(doc)) {
+    if (!['tickers', 'deny', 'noise'].includes(key)) errors.push(`unknown field "${key}"`);
+  }
+  const tickers = doc.tickers || {};
+  const deny = doc.deny || [];
+  const noise = doc.noise || [];
+  if (typeof tickers !== 'object' || Array.isArray(tickers)) errors.push('tickers must be an object');
+  if (!Array.isArray(deny) || deny.some(s => typeof s !== 'string' || !upper(s))) errors.push('deny must be an array of symbols');
+  if (!Array.isArray(noise)) errors.push('noise must be an array of regular expressions');
+  if (errors.length) return errors;
+
+  for (const pattern of noise) {
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      errors.push(`noise: ${e.message}`);
+    }
+  }
+
+  // Every symbol, canonical or alias, may mean only one thing
+  const owner = new Map();
+  const claim = (symbol, by) => {
+    const key = upper(symbol);
+    if (owner.has(key) && owner.get(key) !== by) errors.push(`${key} is claimed by both ${owner.get(key)} and ${by}`);
+    owner.set(key, by);
+  };
+  for (const [symbol, entry] of Object.entries(tickers)) {
+    const at = `tickers.${symbol}`;
+    if (!upper(symbol)) errors.push(`${at}: symbol is empty`);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!ENTRY_FIELDS.includes(key)) errors.push(`${at}: unknown field "${key}"`);
+    }
+    const aliases = entry.aliases || [];
+    if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string' || !upper(a))) errors.push(`${at}.aliases must be an array of symbols`);
+    for (const field of ['name', 'chain']) {
+      if (entry[field] !== undefined && typeof entry[field] !== 'string') errors.push(`${at}.${field} must be a string`);
+    }
+    if (entry.category !== undefined && !CATEGORIES.includes(entry.category)) {
+      errors.push(`${at}.category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    claim(symbol, upper(symbol));
+    if (Array.isArray(aliases)) aliases.forEach(alias => claim(alias, upper(symbol)));
+  }
+  for (const symbol of deny) {
+    if (owner.has(upper(symbol))) errors.push(`deny: ${upper(symbol)} is a registered ticker or alias (${owner.get(upper(symbol))})`);
+  }
+  return errors;
+}
+
+function createRegistry(file) {
+  const listeners = [];
+  let doc = emptyRegistry();
+  let aliases = new Map();
+  let meta = new Map();
+  let deny = new Set();
+  let noise = [];
+  // Resolved copies of scans, dropped whenever the registry changes
+  let resolved = new WeakMap();
+
+  function compile() {
+    aliases = new Map();
+    meta = new Map();
+    for (const [symbol, entry] of Object.entries(doc.tickers)) {
+      const canonical = upper(symbol);
+      const { aliases: names = [], ...info } = entry;
+      meta.set(canonical, info);
+      for (const alias of names) aliases.set(upper(alias), canonical);
+    }
+    deny = new Set(doc.deny.map(upper));
+    noise = doc.noise.map(pattern => new RegExp(pattern, 'i'));
+    resolved = new WeakMap();
+  }
+
+  function load() {
+    if (fs.existsSync(file)) {
+      const next = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const errors = validateRegistry(next);
+      if (errors.length) throw new Error(`Invalid ticker registry ${file}:\n  ${errors.join('\n  ')}`);
+      doc = normalizeRegistry(next);
+    }
+    compile();
+    return registry;
+  }
+
+  function get() {
+    return doc;
+  }
+
+  // Applies `edit` to a copy of the registry; the result is validated,
+  // written and takes effect only if valid. Returns the validation errors.
+  function update(edit) {
+    const next = JSON.parse(JSON.stringify(doc));
+    edit(next);
+    const errors = validateRegistry(next);
+    if (errors.length) return errors;
+    doc = normalizeRegistry(next);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(doc, null, 2)}\n`);
+    fs.renameSync(tmp, file);
+    compile();
+    for (const fn of listeners) fn(doc);
+    return [];
+  }
+
+  // Canonical form of a symbol, whether or not it is denied
+  function canonical(symbol) {
+    const key = upper(symbol);
+    return aliases.get(key) || key;
+  }
+
+  // { symbol, meta } for a scanner symbol, null for junk
+  function resolve(symbol) {
+    const key = upper(symbol);
+    if (!key || deny.has(key) || noise.some(re => re.test(key))) return null;
+    const target = aliases.get(key) || key;
+    if (deny.has(target)) return null;
+    return { symbol: target, meta: meta.get(target) || null };
+  }
+
+  function describe(symbol) {
+    return meta.get(canonical(symbol)) || null;
+  }
+
+  function resolveTickers(symbols) {
+    const out = [];
+    for (const symbol of symbols) {
+      const r = resolve(symbol);
+      if (r && !out.includes(r.symbol)) out.push(r.symbol);
+    }
+    return out;
+  }
+
+  function resolveScan(scan) {
+    const tickers = new Map();
+    for (const t of scan.tickers) {
+      const r = resolve(t.symbol);
+      if (!r) continue;
+      const entry = tickers.get(r.symbol);
+      if (entry) {
+        entry.count += t.count;
+        entry.category = entry.category || t.category;
+      } else {
+        tickers.set(r.symbol, { symbol: r.symbol, count: t.count, category: r.meta?.category || t.category });
+      }
+    }
+
+    const categories = {};
+    for (const [cat, symbols] of Object.entries(scan.categories)) {
+      categories[cat] = categories[cat] || [];
+      for (const symbol of symbols) {
+        const r = resolve(symbol);
+        if (!r) continue;
+        const into = r.meta?.category || cat;
+        categories[into] = categories[into] || [];
+        if (!categories[into].includes(r.symbol)) categories[into].push(r.symbol);
+      }
+    }
+
+    const rawTweetCounts = {};
+    for (const [symbol, n] of Object.entries(scan.rawTweetCounts || {})) {
+      const r = resolve(symbol);
+      if (r) rawTweetCounts[r.symbol] = (rawTweetCounts[r.symbol] || 0) + n;
+    }
+
+    return {
+      ...scan,
+      tickers: [...tickers.values()].sort((a, b) => b.count - a.count),
+      categories,
+      rawTweetCounts,
+      tweets: scan.tweets.map(tweet => ({ ...tweet, tickers: resolveTickers(tweet.tickers) }))
+    };
+  }
+
+  function applyToScan(scan) {
+    if (!resolved.has(scan)) resolved.set(scan, resolveScan(scan));
+    return resolved.get(scan);
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  const registry = { file, load, get, update, canonical, resolve, describe, applyToScan, onChange };
+  return registry;
+}
+
+module.exports = { createRegistry, validateRegistry, emptyRegistry };
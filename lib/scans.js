@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Scan ingestion: every file in the data dir is sniffed for its format and
+// mapped onto one canonical record, so the analysis code never has to care
+// which version of the scanner wrote it.
+//
+// Canonical scan:
+//   { timestamp, ts, file, format,
+//     stats: { totalTweets, ...per-feed counts },
+//     sentiment: { bullish, bearish, neutral, total },
+//     tickers: [{ symbol, count, category }],      // sorted by count
+//     categories: { crypto: [symbol, ...], ... },
+//     keywordMentions: { commodities, metals, macro, industry },
+//     hasKeywords,                                  // false: file had no tallies
+//     tweets: [{ key, author, text, likes, retweets, url, retweetedBy, tickers }],
+//     rawTweetCounts: { symbol: tweet entries as the scanner listed them },
+//     highEngagement: [{ key, author, text, likes, retweets, url, retweetedBy }] }
+//
+// Tweets are normalized on the way in: a retweet ("RT @saylor: ...") becomes
+// the original author's tweet with the retweeter in retweetedBy, and `key`
+// identifies the same tweet across scans whether or not a copy had a URL.
+
+const CATEGORIES = ['crypto', 'crypto-major', 'stock', 'commodity', 'metal', 'index'];
+const KEYWORD_GROUPS = ['commodities', 'metals', 'macro', 'industry'];
+const METALS = ['gold', 'silver', 'copper', 'platinum', 'palladium'];
+
+// Aggregates that look like scans but only repeat one; history.json is
+// recognized by shape and expanded instead.
+const AGGREGATE_FILES = {
+  'latest.json': 'aggregate: copy of the most recent scan'
+};
+
+function detectFormat(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (Array.isArray(data.scans) && (data.tickerHistory || data.sentimentHistory)) return 'history';
+  if (!data.timestamp) return null;
+  if (Array.isArray(data.topTickers) && data.byCategory) return 'v2';
+  if (Array.isArray(data.topTickers)) return 'v1';
+  if (data.byCategory) return 'v2-categories';
+  if (data.crypto || data.crypto_mentions) return 'manual';
+  return null;
+}
+
+function cleanSymbol(ticker) {
+  return String(ticker).replace(/^\$/, '').trim();
+}
+
+function toCount(n) {
+  const v = Number(n);
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+const RETWEET = /^RT @(\w{1,15}):\s*/;
+
+// Same author + same words, ignoring case, spacing, links and the
+// truncation ellipsis the scanner adds to long tweets
+function tweetFingerprint(author, text) {
+  const words = text
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/(…|\.\.\.)\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return crypto.createHash('sha1').update(`${String(author).toLowerCase()}\n${words}`).digest('hex').slice(0, 16);
+}
+
+function normalizeTweet(t) {
+  let author = t.author || t.username || null;
+  let text = t.text || t.content || '';
+  const retweetedBy = [];
+  const rt = RETWEET.exec(text);
+  if (rt) {
+    if (author) retweetedBy.push(author);
+    author = rt[1];
+    text = text.slice(rt[0].length);
+  }
+  const url = t.url || null;
+  return {
+    key: text ? tweetFingerprint(author, text) : url,
+    author,
+    text,
+    likes: toCount(t.likes ?? t.engagement),
+    retweets: toCount(t.retweets),
+    url,
+    retweetedBy
+  };
+}
+
+// Scans stored before tweets carried a key fall back to URL or author + text
+function tweetKey(tweet) {
+  return tweet.key || tweet.url || `${tweet.author}\n${tweet.text}`;
+}
+
+// Handles compare case-insensitively, with or without the @
+function handleKey(author) {
+  return String(author).replace(/^@/, '').toLowerCase();
+}
+
+// Folds another sighting of the same tweet into `into`
+function mergeTweet(into, tweet) {
+  into.likes = Math.max(into.likes, tweet.likes);
+  into.retweets = Math.max(into.retweets, tweet.retweets);
+  into.url = into.url || tweet.url;
+  for (const name of tweet.retweetedBy || []) {
+    if (!into.retweetedBy.includes(name)) into.retweetedBy.push(name);
+  }
+  for (const symbol of tweet.tickers || []) {
+    if (into.tickers && !into.tickers.includes(symbol)) into.tickers.push(symbol);
+  }
+  return into;
+}
+
+function normalizeKeywords(src) {
+  const out = {};
+  for (const group of KEYWORD_GROUPS) {
+    out[group] = {};
+    for (const [kw, count] of Object.entries(src?.[group] || {})) {
+      if (toCount(count)) out[group][kw] = toCount(count);
+    }
+  }
+  return out;
+}
+
+function normalizeSentiment(s, fallbackTotal) {
+  const bullish = toCount(s?.bullish);
+  const bearish = toCount(s?.bearish);
+  const neutral = toCount(s?.neutral);
+  const total = toCount(s?.total) || toCount(fallbackTotal) || bullish + bearish + neutral;
+  return { bullish, bearish, neutral, total };
+}
+
+// Tickers come from topTickers tuples when present, otherwise from
+// byCategory; byCategory also supplies the category for each symbol.
+function collectTickers(data) {
+  const counts = new Map();
+  const category = {};
+  const categories = {};
+  for (const cat of CATEGORIES) categories[cat] = [];
+
+  for (const [cat, entries] of Object.entries(data.byCategory || {})) {
+    if (!categories[cat]) categories[cat] = [];
+    for (const entry of entries || []) {
+      const symbol = cleanSymbol(entry.ticker);
+      if (!symbol) continue;
+      category[symbol] = cat;
+      categories[cat].push(symbol);
+      if (!Array.isArray(data.topTickers)) counts.set(symbol, (counts.get(symbol) || 0) + toCount(entry.count));
+    }
+  }
+
+  for (const pair of data.topTickers || []) {
+    const [ticker, count] = Array.isArray(pair) ? pair : [pair?.ticker, pair?.count];
+    const symbol = cleanSymbol(ticker || '');
+    if (!symbol) continue;
+    counts.set(symbol, (counts.get(symbol) || 0) + toCount(count));
+  }
+
+  const tickers = [...counts.entries()]
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([symbol, count]) => ({ symbol, count, category: category[symbol] || null }));
+  return { tickers, categories };
+}
+
+// Flattens tickerDetails, byCategory[*].tweets and highEngagement into one
+// list of tweets, merging copies and retweets of the same tweet seen under
+// several tickers. `raw` counts the entries per ticker before merging.
+function collectTweets(data) {
+  const byKey = new Map();
+  const raw = {};
+  const add = (entry, symbol) => {
+    const tweet = normalizeTweet(entry);
+    if (!tweet.key) return;
+    if (symbol) raw[symbol] = (raw[symbol] || 0) + 1;
+    let existing = byKey.get(tweet.key);
+    if (!existing) {
+      existing = { ...tweet, tickers: [] };
+      byKey.set(tweet.key, existing);
+    } else {
+      mergeTweet(existing, tweet);
+    }
+    if (symbol && !existing.tickers.includes(symbol)) existing.tickers.push(symbol);
+  };
+
+  for (const [ticker, tweets] of Object.entries(data.tickerDetails || {})) {
+    for (const t of tweets || []) add(t, cleanSymbol(ticker));
+  }
+  for (const entries of Object.values(data.byCategory || {})) {
+    for (const entry of entries || []) {
+      for (const t of entry.tweets || []) add(t, cleanSymbol(entry.ticker));
+    }
+  }
+  for (const t of data.highEngagement || []) add(t, null);
+  return { tweets: [...byKey.values()], raw };
+}
+
+function fromScanner(data, format) {
+  const { tickers, categories } = collectTickers(data);
+  const { tweets, raw: rawTweetCounts } = collectTweets(data);
+  const stats = { ...(data.stats || {}) };
+  stats.totalTweets = toCount(stats.totalTweets) || toCount(data.sentiment?.total);
+  return {
+    format,
+    stats,
+    sentiment: normalizeSentiment(data.sentiment, stats.totalTweets),
+    tickers,
+    categories,
+    keywordMentions: normalizeKeywords(data.keywordMentions),
+    hasKeywords: Boolean(data.keywordMentions),
+    tweets,
+    rawTweetCounts,
+    highEngagement: (data.highEngagement || []).map(normalizeTweet)
+  };
+}
+
+// Hand-written scans: flat { crypto: { BTC: 3 }, commodities: { gold: 2 }, macro }
+function fromManual(data) {
+  const totalTweets = toCount(data.tweetsAnalyzed ?? data.tweets_analyzed);
+  const mentions = data.crypto || data.crypto_mentions || {};
+  const tickers = Object.entries(mentions)
+    .map(([symbol, count]) => ({ symbol: cleanSymbol(symbol), count: toCount(count), category: null }))
+    .filter(t => t.symbol && t.count > 0)
+    .sort((a, b) => b.count - a.count);
+  const commodities = data.commodities || {};
+  const metals = {};
+  for (const [kw, count] of Object.entries(commodities)) {
+    if (METALS.includes(kw)) metals[kw] = count;
+  }
+  const categories = {};
+  for (const cat of CATEGORIES) categories[cat] = [];
+  return {
+    format: 'manual',
+    stats: { totalTweets },
+    sentiment: normalizeSentiment(data.sentiment, totalTweets),
+    tickers,
+    categories,
+    keywordMentions: normalizeKeywords({ commodities, metals, macro: data.macro }),
+    hasKeywords: Boolean(data.commodities || data.macro),
+    tweets: [],
+    rawTweetCounts: {},
+    highEngagement: [],
+    notes: data.notes || null
+  };
+}
+
+// history.json entries only carry sentiment and tickers
+function fromHistoryEntry(entry) {
+  return fromScanner({
+    timestamp: entry.timestamp,
+    sentiment: entry.sentiment,
+    topTickers: entry.topTickers
+  }, 'history-entry');
+}
+
+function withTimestamp(record, timestamp, file) {
+  const ts = new Date(timestamp).getTime();
+  if (!Number.isFinite(ts)) return null;
+  return { timestamp: new Date(ts).toISOString(), ts, file, ...record };
+}
+
+// Maps one parsed file to zero or more canonical scans. Returns
+// { scans, reason } where reason explains why nothing was produced.
+function normalizeFile(data, file) {
+  const format = detectFormat(data);
+  if (!format) {
+    return { scans: [], reason: data?.timestamp ? 'unrecognized format' : 'missing timestamp' };
+  }
+
+  if (format === 'history') {
+    const scans = data.scans
+      .map(entry => withTimestamp(fromHistoryEntry(entry), entry.timestamp ?? entry.ts, file))
+      .filter(Boolean);
+    return { scans, reason: scans.length ? null : 'history has no usable entries' };
+  }
+
+  const record = format === 'manual' ? fromManual(data) : fromScanner(data, format);
+  const scan = withTimestamp(record, data.timestamp, file);
+  return scan ? { scans: [scan], reason: null } : { scans: [], reason: `invalid timestamp "${data.timestamp}"` };
+}
+
+// Full scans always win over history entries for the same instant
+function rank(scan) {
+  return scan.format === 'history-entry' ? 0 : 1;
+}
+
+// Reads and normalizes a single file: { file, scans, reason }
+function readScanFile(dir, file) {
+  if (AGGREGATE_FILES[file]) return { file, scans: [], reason: AGGREGATE_FILES[file] };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  } catch (e) {
+    return { file, scans: [], reason: `unreadable: ${e.message}` };
+  }
+  return { file, ...normalizeFile(data, file) };
+}
+
+// Merges per-file results into one timestamp-sorted list, dropping
+// duplicate instants. Entries must be in file-name order for stable output.
+function mergeScans(entries) {
+  const rejected = [];
+  const byTimestamp = new Map();
+
+  for (const { file, scans, reason } of entries) {
+    if (reason) rejected.push({ file, reason });
+
+    for (const scan of scans) {
+      const existing = byTimestamp.get(scan.ts);
+      if (!existing || rank(scan) > rank(existing)) {
+        byTimestamp.set(scan.ts, scan);
+      } else if (rank(scan) === rank(existing) && rank(scan) > 0) {
+        rejected.push({ file, reason: `duplicate of ${existing.file}` });
+      }
+    }
+  }
+
+  const scans = [...byTimestamp.values()].sort((a, b) => a.ts - b.ts);
+  return { scans, rejected };
+}
+
+// Identity of a scan's content, ignoring when it ran and engagement counts
+// (likes keep ticking between two runs a few seconds apart)
+function fingerprint(scan) {
+  const content = [scan.sentiment, scan.tickers, scan.keywordMentions, scan.tweets.map(t => [t.author, t.text, t.url])];
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+}
+
+// Drops re-runs: a scan whose content matches the one before it within
+// `withinMs`. The later run is kept since its engagement numbers are fresher.
+// Expects timestamp-sorted input; returns { scans, dropped: [{ file, duplicateOf }] }
+function dedupeScans(scans, withinMs) {
+  const kept = [];
+  const dropped = [];
+  let previous = null;
+  for (const scan of scans) {
+    const print = fingerprint(scan);
+    if (previous && previous.print === print && scan.ts - previous.scan.ts <= withinMs) {
+      kept.pop();
+      dropped.push({ file: previous.scan.file, duplicateOf: scan.file });
+    }
+    kept.push(scan);
+    previous = { scan, print };
+  }
+  return { scans: kept, dropped };
+}
+
+function listScanFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+}
+
+function loadScanDir(dir) {
+  return mergeScans(listScanFiles(dir).map(file => readScanFile(dir, file)));
+}
+
+module.exports = {
+  CATEGORIES,
+  detectFormat,
+  normalizeFile,
+  readScanFile,
+  mergeScans,
+  rank,
+  fingerprint,
+  dedupeScans,
+  tweetKey,
+  handleKey,
+  mergeTweet,
+  listScanFiles,
+  loadScanDir
+};
@@ -0,0 +1,147 @@
+const { getConfig } = require('./config');
+
+// Sentiment as volume-weighted shares: every scan contributes in proportion
+// to how many tweets it classified, and each share carries a 95% Wilson
+// interval so a noisy 100-tweet window can't swing the regime on its own.
+
+const Z = 1.96;
+
+// Ratio thresholds come from config `regimes`
+const { regimes } = getConfig();
+const REGIMES = [
+  { min: regimes.euphoria, label: 'EUPHORIA', emoji: '🚀', color: '#00ff88' },
+  { min: regimes.bullish, label: 'BULLISH', emoji: '🟢', color: '#4ade80' },
+  { min: regimes.leaningBull, label: 'LEANING BULL', emoji: '🟡', color: '#facc15' },
+  { min: regimes.neutral, label: 'NEUTRAL', emoji: '⚪', color: '#94a3b8' },
+  { min: regimes.leaningBear, label: 'LEANING BEAR', emoji: '🟠', color: '#fb923c' },
+  { min: -Infinity, label: 'BEARISH', emoji: '🔴', color: '#ef4444' }
+];
+
+// Shown in place of a regime when the window has too few scans to read one
+const NO_DATA_REGIME = { label: 'NOT ENOUGH DATA', emoji: '⚫', color: '#8888a0' };
+
+// Rough per-tweet classifier for places the scanner didn't score, such as
+// a single ticker's tweets. Whichever side has more keyword hits wins.
+const BULL_TERMS = /\b(bull(ish)?|moon(ing)?|pump(ing|ed)?|send(ing)? it|long(ed|ing)?|buy(ing)?|bought|breakout|ath|ripping|higher|up only|accumulat\w*|rally|reprice)\b|🚀|📈/gi;
+const BEAR_TERMS = /\b(bear(ish)?|dump(ing|ed)?|short(ed|ing)?|sell(ing)?|sold|rug(ged)?|crash(ing|ed)?|rekt|capitulat\w*|lower|down bad|bleed(ing)?|scam|exit liquidity)\b|📉|🩸/gi;
+
+function classifyText(text) {
+  const bull = (text.match(BULL_TERMS) || []).length;
+  const bear = (text.match(BEAR_TERMS) || []).length;
+  if (bull > bear) return 'bullish';
+  if (bear > bull) return 'bearish';
+  return 'neutral';
+}
+
+function wilson(hits, n) {
+  if (!n) return [0, 1];
+  const p = hits / n;
+  const denom = 1 + Z * Z / n;
+  const center = (p + Z * Z / (2 * n)) / denom;
+  const half = Z * Math.sqrt(p * (1 - p) / n + Z * Z / (4 * n * n)) / denom;
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+function totals(scans) {
+  let bullish = 0;
+  let bearish = 0;
+  let total = 0;
+  for (const scan of scans) {
+    bullish += scan.sentiment.bullish;
+    bearish += scan.sentiment.bearish;
+    total += scan.sentiment.total;
+  }
+  return { bullish, bearish, total };
+}
+
+function share(count, total) {
+  return total > 0 ? count / total * 100 : 0;
+}
+
+function formatRatio(bull, bear) {
+  return bear > 0 ? (bull / bear).toFixed(2) : bull > 0 ? '∞' : '0';
+}
+
+const pct = ([lo, hi]) => [+(lo * 100).toFixed(1), +(hi * 100).toFixed(1)];
+
+// Scans are grouped by which feeds the scanner pulled, since a search-heavy
+// scan reads a different crowd than the list/following timeline.
+function sourceBreakdown(scans) {
+  const volume = {};
+  const mixes = {};
+  for (const scan of scans) {
+    const feeds = Object.keys(scan.stats)
+      .filter(k => k !== 'totalTweets' && k.endsWith('Tweets') && scan.stats[k] > 0)
+      .sort();
+    if (!feeds.length) continue;
+    for (const feed of feeds) volume[feed] = (volume[feed] || 0) + scan.stats[feed];
+    const key = feeds.join('+');
+    (mixes[key] = mixes[key] || []).push(scan);
+  }
+
+  return {
+    volume,
+    byFeedMix: Object.entries(mixes).map(([feeds, group]) => {
+      const t = totals(group);
+      return {
+        feeds: feeds.split('+'),
+        scans: group.length,
+        tweets: t.total,
+        bull: share(t.bullish, t.total).toFixed(1),
+        bear: share(t.bearish, t.total).toFixed(1)
+      };
+    })
+  };
+}
+
+function analyzeSentiment(scans) {
+  const t = totals(scans);
+  if (!scans.length || !t.total) return { bull: 0, bear: 0, ratio: 0, trend: 'UNKNOWN', tweets: 0, scans: scans.length };
+
+  const bullCI = wilson(t.bullish, t.total);
+  const bearCI = wilson(t.bearish, t.total);
+  const ratioCI = [
+    bearCI[1] > 0 ? bullCI[0] / bearCI[1] : Infinity,
+    bearCI[0] > 0 ? bullCI[1] / bearCI[0] : Infinity
+  ];
+
+  // Trend: compare bullish share of first half vs second half
+  const mid = Math.floor(scans.length / 2);
+  const first = totals(scans.slice(0, mid));
+  const second = totals(scans.slice(mid));
+  const firstBull = share(first.bullish, first.total);
+  const secondBull = share(second.bullish, second.total);
+  const trend = secondBull > firstBull * 1.1 ? 'RISING' : secondBull < firstBull * 0.9 ? 'DECLINING' : 'STABLE';
+
+  return {
+    bull: share(t.bullish, t.total).toFixed(1),
+    bear: share(t.bearish, t.total).toFixed(1),
+    ratio: formatRatio(t.bullish, t.bearish),
+    trend,
+    tweets: t.total,
+    scans: scans.length,
+    interval: {
+      bull: pct(bullCI),
+      bear: pct(bearCI),
+      ratio: ratioCI.map(r => Number.isFinite(r) ? +r.toFixed(2) : null)
+    },
+    sources: sourceBreakdown(scans)
+  };
+}
+
+// Labels the regime from whichever end of the ratio interval is closest to
+// neutral; a window only reads as bullish or bearish once the whole
+// interval agrees.
+function getRegimeLabel(sentiment) {
+  let r = parseFloat(sentiment.ratio);
+  if (sentiment.ratio === '∞') r = Infinity;
+  const ci = sentiment.interval?.ratio;
+  if (ci) {
+    const [lo, hi] = [ci[0], ci[1] ?? Infinity];
+    r = lo > 1 ? lo : hi < 1 ? hi : 1;
+  }
+  const { min, ...regime } = REGIMES.find(g => (Number.isNaN(r) ? 0 : r) >= g.min);
+  return regime;
+}
+
+module.exports = { analyzeSentiment, getRegimeLabel, classifyText, wilson, REGIMES, NO_DATA_REGIME };
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeFile, fingerprint, tweetKey, handleKey } = require('./scans');
+
+// SQLite scan store (STORE=sqlite). Same interface as the file backend in
+// lib/store.js. Each canonical scan is one row in `scans` (the full record
+// as JSON plus the columns worth querying), with its tickers and tweets
+// broken out so window aggregations run in SQL: mentions(), tweets() and
+// symbolScans() never parse a scan's JSON. Rows keep the scanner's symbols;
+// the registry is applied through the per-connection `symbols` table, which
+// maps each raw symbol to the one it resolves to.
+//
+// New scans arrive through add() (POST /api/scans) or scripts/migrate.js;
+// there is no directory to watch.
+
+// Version 1 stored no tweet keys or per-ticker tweet counts
+const SCHEMA_VERSION = 2;
+// Parsed scans kept for range(); the oldest are dropped first
+const PARSED_CACHE_SIZE = 2000;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS scans (
+  ts INTEGER PRIMARY KEY,
+  timestamp TEXT NOT NULL,
+  file TEXT,
+  format TEXT,
+  total_tweets INTEGER NOT NULL,
+  bullish INTEGER NOT NULL,
+  bearish INTEGER NOT NULL,
+  neutral INTEGER NOT NULL,
+  fingerprint TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS ticker_mentions (
+  scan_ts INTEGER NOT NULL REFERENCES scans(ts) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  symbol TEXT NOT NULL,
+  category TEXT,
+  count INTEGER NOT NULL,
+  tweets INTEGER NOT NULL,
+  PRIMARY KEY (scan_ts, position)
+);
+CREATE INDEX IF NOT EXISTS ticker_mentions_symbol ON ticker_mentions(symbol);
+CREATE TABLE IF NOT EXISTS tweets (
+  scan_ts INTEGER NOT NULL REFERENCES scans(ts) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  author TEXT,
+  text TEXT NOT NULL,
+  likes INTEGER NOT NULL,
+  retweets INTEGER NOT NULL,
+  url TEXT,
+  retweeted_by TEXT NOT NULL,
+  tickers TEXT NOT NULL,
+  PRIMARY KEY (scan_ts, position)
+);
+CREATE INDEX IF NOT EXISTS tweets_author ON tweets(author);
+CREATE TEMP TABLE IF NOT EXISTS symbols (
+  raw TEXT PRIMARY KEY,
+  symbol TEXT NOT NULL,
+  category TEXT
+);
+`;
+
+// One row per scan and resolved symbol (all of them, or only @symbol in
+// any casing), merged as registry.applyToScan merges them: counts summed,
+// the registry's category or else the first listed one
+const ENTRIES = `
+  SELECT m.scan_ts, s.symbol, SUM(m.count) AS count, SUM(m.tweets) AS tweets,
+    MIN(m.scan_ts * 10000 + m.position) AS seq,
+    COALESCE(s.category, (
+      SELECT c.category FROM ticker_mentions c JOIN symbols cs ON cs.raw = c.symbol
+      WHERE c.scan_ts = m.scan_ts AND cs.symbol = s.symbol AND c.category IS NOT NULL
+      ORDER BY c.position LIMIT 1
+    )) AS category
+  FROM ticker_mentions m JOIN symbols s ON s.raw = m.symbol
+  WHERE m.scan_ts >= @from AND m.scan_ts < @to AND (@symbol IS NULL OR upper(s.symbol) = @symbol)
+  GROUP BY m.scan_ts, s.symbol`;
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error(`STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${e.message}`);
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  // Older ticker and tweet rows are dropped and rebuilt by the store
+  const stale = db.pragma('user_version', { simple: true }) < SCHEMA_VERSION;
+  if (stale) db.exec('DROP TABLE IF EXISTS ticker_mentions; DROP TABLE IF EXISTS tweets;');
+  db.exec(SCHEMA);
+  return { db, stale };
+}
+
+// SQLite has no infinities for integer columns
+function bound(ts) {
+  return Math.max(Number.MIN_SAFE_INTEGER, Math.min(Number.MAX_SAFE_INTEGER, ts));
+}
+
+function createSqliteStore(file, { registry = null } = {}) {
+  const listeners = [];
+  // Parsed scans by ts; rows never change once written
+  const parsed = new Map();
+  let db = null;
+  let sql = null;
+  let lastIngest = null;
+
+  function prepare() {
+    sql = {
+      range: db.prepare('SELECT ts FROM scans WHERE ts >= ? AND ts < ? ORDER BY ts'),
+      count: db.prepare('SELECT COUNT(*) FROM scans WHERE ts >= ? AND ts < ?'),
+      data: db.prepare('SELECT data FROM scans WHERE ts = ?'),
+      has: db.prepare('SELECT 1 FROM scans WHERE ts = ?'),
+      insertScan: db.prepare(`INSERT OR IGNORE INTO scans
+        (ts, timestamp, file, format, total_tweets, bullish, bearish, neutral, fingerprint, data)
+        VALUES (@ts, @timestamp, @file, @format, @totalTweets, @bullish, @bearish, @neutral, @fingerprint, @data)`),
+      insertTicker: db.prepare('INSERT INTO ticker_mentions (scan_ts, position, symbol, category, count, tweets) VALUES (?, ?, ?, ?, ?, ?)'),
+      insertTweet: db.prepare(`INSERT INTO tweets
+        (scan_ts, position, key, author, text, likes, retweets, url, retweeted_by, tickers)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+      summary: db.prepare('SELECT COUNT(*) AS scans, MIN(timestamp) AS oldest, MAX(timestamp) AS newest, COUNT(DISTINCT file) AS files FROM scans'),
+      unresolved: db.prepare(`SELECT symbol FROM ticker_mentions
+        UNION SELECT j.value FROM tweets, json_each(tweets.tickers) j
+        EXCEPT SELECT raw FROM symbols`),
+      clearSymbols: db.prepare('DELETE FROM symbols'),
+      insertSymbol: db.prepare('INSERT INTO symbols (raw, symbol, category) VALUES (?, ?, ?)'),
+      mentions: db.prepare(`WITH entries AS (${ENTRIES}),
+        kept AS (SELECT * FROM entries WHERE @categories IS NULL OR category IN (SELECT value FROM json_each(@categories)))
+        SELECT symbol, SUM(count) AS rawMentions,
+          SUM(CASE WHEN tweets = 0 THEN count ELSE 0 END) AS fallback,
+          (SELECT k.category FROM kept k WHERE k.symbol = kept.symbol AND k.category IS NOT NULL
+            ORDER BY k.scan_ts DESC LIMIT 1) AS category
+        FROM kept GROUP BY symbol ORDER BY MIN(seq)`),
+      tweetMentions: db.prepare(`SELECT s.symbol, COUNT(DISTINCT t.key) AS tweets
+        FROM tweets t JOIN json_each(t.tickers) j JOIN symbols s ON s.raw = j.value
+        WHERE t.scan_ts >= @from AND t.scan_ts < @to
+        GROUP BY s.symbol`),
+      tweets: db.prepare(`SELECT g.key, g.author, g.text, g.likes, g.retweets, g.url, g.retweetedBy, g.tickers, sc.timestamp AS firstSeen FROM (
+          SELECT t.key, t.author, t.text, MAX(t.likes) AS likes, MAX(t.retweets) AS retweets, MAX(t.url) AS url,
+            '[' || group_concat(t.retweeted_by, ',' ORDER BY t.scan_ts, t.position) || ']' AS retweetedBy,
+            '[' || group_concat(t.tickers, ',' ORDER BY t.scan_ts, t.position) || ']' AS tickers,
+            MIN(t.scan_ts) AS first_ts, MIN(t.scan_ts * 10000 + t.position) AS seq
+          FROM tweets t
+          WHERE t.scan_ts >= @from AND t.scan_ts < @to
+            AND (@author IS NULL OR lower(CASE WHEN t.author LIKE '@%' THEN substr(t.author, 2) ELSE t.author END) = @author)
+            AND (@symbol IS NULL OR EXISTS (
+              SELECT 1 FROM json_each(t.tickers) j JOIN symbols s ON s.raw = j.value WHERE upper(s.symbol) = @symbol
+            ))
+          GROUP BY t.key
+        ) g JOIN scans sc ON sc.ts = g.first_ts
+        ORDER BY g.seq`),
+      symbolScans: db.prepare(`WITH entries AS (${ENTRIES})
+        SELECT e.scan_ts AS ts, sc.timestamp, e.symbol, e.count, e.category
+        FROM entries e JOIN scans sc ON sc.ts = e.scan_ts
+        ORDER BY e.seq`)
+    };
+  }
+
+  // Maps raw symbols the `symbols` table hasn't seen yet (all of them with
+  // `reset`) through the registry; junk symbols get no row
+  function resolveSymbols(reset = false) {
+    db.transaction(() => {
+      if (reset) sql.clearSymbols.run();
+      for (const raw of sql.unresolved.pluck().all()) {
+        const r = registry ? registry.resolve(raw) : { symbol: raw, meta: null };
+        if (r) sql.insertSymbol.run(raw, r.symbol, r.meta?.category || null);
+      }
+    })();
+  }
+
+  function insertRows(scan) {
+    scan.tickers.forEach((t, i) => sql.insertTicker.run(scan.ts, i, t.symbol, t.category, t.count, scan.rawTweetCounts?.[t.symbol] || 0));
+    scan.tweets.forEach((t, i) => sql.insertTweet.run(
+      scan.ts, i, tweetKey(t), t.author, t.text, t.likes, t.retweets, t.url,
+      JSON.stringify(t.retweetedBy || []), JSON.stringify(t.tickers)
+    ));
+  }
+
+  // Refills the ticker and tweet rows from each scan's JSON
+  function rebuildRows() {
+    db.transaction(() => {
+      for (const ts of sql.range.pluck().all(bound(-Infinity), bound(Infinity))) insertRows(JSON.parse(sql.data.get(ts).data));
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  function load() {
+    if (!db) {
+      const opened = openDatabase(file);
+      db = opened.db;
+      prepare();
+      if (opened.stale) rebuildRows();
+      resolveSymbols(true);
+    }
+    lastIngest = new Date().toISOString();
+    return store;
+  }
+
+  function watch() {
+    return store;
+  }
+
+  function close() {
+    if (db) db.close();
+    db = null;
+    parsed.clear();
+  }
+
+  function scanAt(ts) {
+    let scan = parsed.get(ts);
+    if (!scan) {
+      if (parsed.size >= PARSED_CACHE_SIZE) parsed.delete(parsed.keys().next().value);
+      scan = JSON.parse(sql.data.get(ts).data);
+      parsed.set(ts, scan);
+    }
+    return registry ? registry.applyToScan(scan) : scan;
+  }
+
+  function range(from = -Infinity, to = Infinity) {
+    return sql.range.pluck().all(bound(from), bound(to)).map(scanAt);
+  }
+
+  function count(from = -Infinity, to = Infinity) {
+    return sql.count.pluck().get(bound(from), bound(to));
+  }
+
+  function all() {
+    return range();
+  }
+
+  function has(ts) {
+    return Boolean(sql.has.get(ts));
+  }
+
+  function timestamps(from = -Infinity, to = Infinity) {
+    return sql.range.pluck().all(bound(from), bound(to));
+  }
+
+  // countMentions over the window: the scanner's counts where a scan lists
+  // no tweets for a symbol, plus one per distinct tweet key
+  function mentions(from = -Infinity, to = Infinity, categories = null) {
+    const window = { from: bound(from), to: bound(to) };
+    const rows = sql.mentions.all({ ...window, symbol: null, categories: categories ? JSON.stringify(categories) : null });
+    const distinct = new Map(sql.tweetMentions.all(window).map(row => [row.symbol, row.tweets]));
+    return new Map(rows.map(({ symbol, rawMentions, fallback, category }) => [
+      symbol,
+      { mentions: fallback + (distinct.get(symbol) || 0), rawMentions, category }
+    ]));
+  }
+
+  // uniqueTweets over the window, optionally only sightings that mention
+  // `symbol` or were posted by `author`
+  function tweets(from = -Infinity, to = Infinity, { symbol = null, author = null } = {}) {
+    const rows = sql.tweets.all({
+      from: bound(from),
+      to: bound(to),
+      symbol: symbol ? symbol.toUpperCase() : null,
+      author: author ? handleKey(author) : null
+    });
+    return rows.map(tweet => {
+      const tickers = JSON.parse(tweet.tickers).flat()
+        .map(raw => (registry ? registry.resolve(raw)?.symbol : raw))
+        .filter(Boolean);
+      return {
+        ...tweet,
+        retweetedBy: [...new Set(JSON.parse(tweet.retweetedBy).flat())],
+        tickers: [...new Set(tickers)]
+      };
+    });
+  }
+
+  // Each scan's ticker entry for `symbol` (any casing)
+  function symbolScans(from, to, symbol) {
+    return sql.symbolScans.all({ from: bound(from), to: bound(to), symbol: symbol.toUpperCase() });
+  }
+
+  // Inserts canonical scans, skipping instants already stored. Returns the
+  // number of rows written.
+  function insertScans(scans) {
+    const inserted = insertAll(scans);
+    if (inserted) resolveSymbols();
+    return inserted;
+  }
+
+  const insertAll = scans => db.transaction(() => {
+    let inserted = 0;
+    for (const scan of scans) {
+      const { changes } = sql.insertScan.run({
+        ts: scan.ts,
+        timestamp: scan.timestamp,
+        file: scan.file,
+        format: scan.format,
+        totalTweets: scan.stats.totalTweets,
+        bullish: scan.sentiment.bullish,
+        bearish: scan.sentiment.bearish,
+        neutral: scan.sentiment.neutral,
+        fingerprint: fingerprint(scan),
+        data: JSON.stringify(scan)
+      });
+      if (!changes) continue;
+      inserted++;
+      insertRows(scan);
+    }
+    return inserted;
+  })();
+
+  function notify() {
+    const scans = all();
+    for (const fn of listeners) fn(scans);
+  }
+
+  function changed() {
+    lastIngest = new Date().toISOString();
+    notify();
+  }
+  if (registry) {
+    registry.onChange(() => {
+      if (!db) return;
+      resolveSymbols(true);
+      notify();
+    });
+  }
+
+  function add(fileName, data) {
+    const result = { file: fileName, ...normalizeFile(data, fileName) };
+    if (!result.reason && insertScans(result.scans)) changed();
+    return result;
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  function stats() {
+    const { scans, oldest, newest, files } = sql.summary.get();
+    return {
+      backend: 'sqlite',
+      database: file,
+      files,
+      scans,
+      parseFailures: 0,
+      rejected: [],
+      oldestScan: oldest,
+      newestScan: newest,
+      lastIngest,
+      watching: false
+    };
+  }
+
+  const store = { load, watch, close, range, count, all, has, timestamps, mentions, tweets, symbolScans, add, insertScans, onChange, stats };
+  return store;
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { readScanFile, rank, listScanFiles, handleKey } = require('./scans');
+const { countMentions, uniqueTweets, sameSymbol } = require('./tickers');
+
+// Scan storage. Every backend exposes the same interface:
+//
+//   load() / watch() / close()   lifecycle; load and watch return the store
+//   range(from, to)              scans with from <= ts < to, oldest first
+//   count(from, to)              how many, without reading them
+//   all(), has(ts)
+//   timestamps(from, to)         the window's scan timestamps
+//   mentions(from, to, categories)
+//                                countMentions (lib/tickers.js) over the window
+//   tweets(from, to, { symbol, author })
+//                                uniqueTweets over the window, only sightings
+//                                that mention symbol / were posted by author
+//   symbolScans(from, to, symbol)
+//                                each scan's ticker entry for symbol, as
+//                                [{ ts, timestamp, symbol, count, category }]
+//   add(file, data)              persist one raw scanner file -> { file, scans, reason }
+//   onChange(fn)                 fn(allScans) after every ingest
+//   stats()
+//
+// Both backends take an optional ticker registry (lib/registry.js): range()
+// and the aggregations then report resolved symbols, and a registry edit
+// re-resolves every stored scan and fires onChange like an ingest would.
+//
+// The file backend below keeps an in-memory index of the data dir. The data
+// dir is parsed once; after that only files the watcher reports as new or
+// changed are re-read, and only their timestamps are re-merged (by
+// mergeScans' rule) and re-resolved. Scans are kept sorted by timestamp so
+// window queries are a pair of binary searches and an ingest is a splice;
+// the aggregations run over those slices. lib/sqlite-store.js is the SQLite
+// backend, which runs them in SQL.
+
+const WATCH_DEBOUNCE_MS = 250;
+
+function lowerBound(scans, ts) {
+  let lo = 0;
+  let hi = scans.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (scans[mid].ts < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// The scan kept for one instant: full scans beat history entries, then the
+// first file by name, as in mergeScans
+function winner(candidates) {
+  return candidates.reduce((best, scan) => {
+    const better = rank(scan) > rank(best) || (rank(scan) === rank(best) && scan.file < best.file);
+    return better ? scan : best;
+  });
+}
+
+function createScanStore(dir, { registry = null } = {}) {
+  const files = new Map();
+  const listeners = [];
+  const pending = new Map();
+  // Every file's scans by timestamp, and the ones that lost to an equal
+  const candidates = new Map();
+  const duplicates = new Map();
+  // mtime of each file add() wrote, so the watcher skips its own events
+  const written = new Map();
+  // The winning scan per timestamp, and the same scans as range() reports them
+  let index = [];
+  let scans = [];
+  let watcher = null;
+  let lastIngest = null;
+
+  function notify() {
+    lastIngest = new Date().toISOString();
+    for (const fn of listeners) fn(scans);
+  }
+
+  // Registry edits re-resolve every scan; no files are re-read
+  function resolveAll() {
+    scans = registry ? index.map(registry.applyToScan) : index.slice();
+    for (const fn of listeners) fn(scans);
+  }
+  if (registry) registry.onChange(resolveAll);
+
+  // Re-merges one timestamp and splices the result into place
+  function place(ts) {
+    const i = lowerBound(index, ts);
+    const present = i < index.length && index[i].ts === ts;
+    const list = candidates.get(ts);
+    duplicates.delete(ts);
+    if (!list) {
+      if (present) {
+        index.splice(i, 1);
+        scans.splice(i, 1);
+      }
+      return;
+    }
+    const scan = winner(list);
+    const losers = list.filter(s => s !== scan && rank(s) === rank(scan) && rank(s) > 0);
+    if (losers.length) duplicates.set(ts, losers.map(s => ({ file: s.file, reason: `duplicate of ${scan.file}` })));
+    const resolved = registry ? registry.applyToScan(scan) : scan;
+    if (present) {
+      index[i] = scan;
+      scans[i] = resolved;
+    } else {
+      index.splice(i, 0, scan);
+      scans.splice(i, 0, resolved);
+    }
+  }
+
+  // Re-reads one file and updates the timestamps it had or now has
+  function ingest(file) {
+    const touched = new Set();
+    for (const scan of files.get(file)?.scans || []) {
+      const list = candidates.get(scan.ts).filter(s => s !== scan);
+      if (list.length) candidates.set(scan.ts, list);
+      else candidates.delete(scan.ts);
+      touched.add(scan.ts);
+    }
+    if (fs.existsSync(path.join(dir, file))) {
+      const entry = readScanFile(dir, file);
+      files.set(file, entry);
+      for (const scan of entry.scans) {
+        candidates.set(scan.ts, [...(candidates.get(scan.ts) || []), scan]);
+        touched.add(scan.ts);
+      }
+    } else {
+      files.delete(file);
+    }
+    for (const ts of touched) place(ts);
+  }
+
+  function load() {
+    files.clear();
+    candidates.clear();
+    duplicates.clear();
+    index = [];
+    scans = [];
+    for (const file of listScanFiles(dir)) ingest(file);
+    notify();
+    return store;
+  }
+
+  // Editors and the scanner may fire several events per write; settle first.
+  // A file still as add() left it has already been indexed.
+  function schedule(file) {
+    clearTimeout(pending.get(file));
+    pending.set(file, setTimeout(() => {
+      pending.delete(file);
+      const full = path.join(dir, file);
+      const mtime = fs.existsSync(full) ? fs.statSync(full).mtimeMs : null;
+      if (written.has(file) && written.get(file) === mtime) return;
+      written.delete(file);
+      ingest(file);
+      notify();
+    }, WATCH_DEBOUNCE_MS));
+  }
+
+  function watch() {
+    if (watcher || !fs.existsSync(dir)) return store;
+    watcher = fs.watch(dir, (event, file) => {
+      if (file && file.endsWith('.json')) schedule(file);
+    });
+    watcher.on('error', err => {
+      console.warn(`Scan watcher stopped: ${err.message}`);
+      watcher = null;
+    });
+    return store;
+  }
+
+  function close() {
+    if (watcher) watcher.close();
+    watcher = null;
+    for (const timer of pending.values()) clearTimeout(timer);
+    pending.clear();
+  }
+
+  // Scans with from <= ts < to
+  function range(from = -Infinity, to = Infinity) {
+    return scans.slice(lowerBound(scans, from), lowerBound(scans, to));
+  }
+
+  function count(from = -Infinity, to = Infinity) {
+    return Math.max(0, lowerBound(scans, to) - lowerBound(scans, from));
+  }
+
+  function all() {
+    return scans;
+  }
+
+  function has(ts) {
+    const i = lowerBound(scans, ts);
+    return i < scans.length && scans[i].ts === ts;
+  }
+
+  function timestamps(from = -Infinity, to = Infinity) {
+    return range(from, to).map(scan => scan.ts);
+  }
+
+  function mentions(from = -Infinity, to = Infinity, categories = null) {
+    return countMentions(range(from, to), categories);
+  }
+
+  function tweets(from = -Infinity, to = Infinity, { symbol = null, author = null } = {}) {
+    return uniqueTweets(range(from, to), tweet =>
+      (!symbol || tweet.tickers.some(t => sameSymbol(t, symbol))) &&
+      (!author || Boolean(tweet.author) && handleKey(tweet.author) === handleKey(author)));
+  }
+
+  function symbolScans(from, to, symbol) {
+    return range(from, to).flatMap(scan => scan.tickers
+      .filter(t => sameSymbol(t.symbol, symbol))
+      .map(t => ({ ts: scan.ts, timestamp: scan.timestamp, ...t })));
+  }
+
+  // Write via a temp file so the watcher never sees a half-written scan,
+  // then index it right away rather than waiting on the watcher
+  function add(file, data) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = path.join(dir, `.${file}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, path.join(dir, file));
+    written.set(file, fs.statSync(path.join(dir, file)).mtimeMs);
+    ingest(file);
+    notify();
+    return files.get(file);
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  function stats() {
+    const rejected = [
+      ...[...files.values()].filter(entry => entry.reason).map(({ file, reason }) => ({ file, reason })),
+      ...[...duplicates.values()].flat()
+    ].sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+    return {
+      backend: 'file',
+      dataDir: dir,
+      files: files.size,
+      scans: scans.length,
+      parseFailures: rejected.filter(r => r.reason.startsWith('unreadable')).length,
+      rejected,
+      oldestScan: scans[0]?.timestamp || null,
+      newestScan: scans[scans.length - 1]?.timestamp || null,
+      lastIngest,
+      watching: Boolean(watcher)
+    };
+  }
+
+  const store = { load, watch, close, range, count, all, has, timestamps, mentions, tweets, symbolScans, add, onChange, stats };
+  return store;
+}
+
+const BACKENDS = ['file', 'sqlite'];
+
+function openStore({ backend = 'file', dataDir, database, registry = null }) {
+  if (backend === 'file') return createScanStore(dataDir, { registry });
+  if (backend === 'sqlite') return require('./sqlite-store').createSqliteStore(database, { registry });
+  throw new Error(`Unknown store backend "${backend}" (expected one of ${BACKENDS.join(', ')})`);
+}
+
+module.exports = { createScanStore, openStore };
@@ -0,0 +1,174 @@
+const { classifyText } = require('./sentiment');
+const { formatDay, startOfDay, shiftDay } = require('./time');
+const { CATEGORIES, tweetKey, mergeTweet } = require('./scans');
+
+// Brief sections, each a group of the scanner's byCategory buckets. Group
+// names are also accepted anywhere a ?category= filter is.
+const CATEGORY_GROUPS = {
+  majors: { title: 'Majors', categories: ['crypto-major'] },
+  memes: { title: 'Memecoins & Small Caps', categories: ['crypto'] },
+  equities: { title: 'Equities', categories: ['stock', 'index'] }
+};
+
+// "memes,stock" -> ['crypto', 'stock']; unknown names are returned separately
+function parseCategories(value) {
+  const categories = new Set();
+  const unknown = [];
+  for (const name of String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    if (CATEGORY_GROUPS[name]) CATEGORY_GROUPS[name].categories.forEach(c => categories.add(c));
+    else if (CATEGORIES.includes(name)) categories.add(name);
+    else unknown.push(name);
+  }
+  return { categories: [...categories], unknown };
+}
+
+function inCategories(ticker, categories) {
+  return !categories || categories.includes(ticker.category);
+}
+
+// Per-ticker deep dive: everything the archive knows about one symbol.
+// Symbols match case-insensitively since the scanner keeps the casing
+// authors used ($Buttcoin vs $BUTTCOIN). The profile is assembled from the
+// store's aggregations (lib/store.js) rather than from scans.
+
+function sameSymbol(a, b) {
+  return a.toUpperCase() === b.toUpperCase();
+}
+
+function engagement(tweet) {
+  return tweet.likes + tweet.retweets;
+}
+
+// Consecutive scans re-see the same tweets; keep one copy per tweet key
+// with the highest observed engagement, restricted to tweets `keep` accepts.
+function uniqueTweets(scans, keep = () => true) {
+  const byKey = new Map();
+  for (const scan of scans) {
+    for (const tweet of scan.tweets) {
+      if (!keep(tweet)) continue;
+      const key = tweetKey(tweet);
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, { ...tweet, tickers: [...tweet.tickers], retweetedBy: [...(tweet.retweetedBy || [])], firstSeen: scan.timestamp });
+      } else {
+        mergeTweet(existing, tweet);
+      }
+    }
+  }
+  return [...byKey.values()];
+}
+
+// Mentions per symbol over a window, counted in distinct tweets: a tweet
+// re-seen in later scans, or retweeted, counts once. Scans that list no
+// tweets for a symbol (v1 and history files) fall back to the scanner's
+// count. `rawMentions` is the scanner's count throughout.
+// -> Map symbol -> { mentions, rawMentions, category }
+function countMentions(scans, categories = null) {
+  const counts = new Map();
+  for (const scan of scans) {
+    for (const t of scan.tickers) {
+      if (!inCategories(t, categories)) continue;
+      const entry = counts.get(t.symbol) || { mentions: 0, rawMentions: 0, category: null };
+      entry.rawMentions += t.count;
+      if (!scan.rawTweetCounts?.[t.symbol]) entry.mentions += t.count;
+      entry.category = t.category || entry.category;
+      counts.set(t.symbol, entry);
+    }
+  }
+  for (const tweet of uniqueTweets(scans)) {
+    for (const symbol of tweet.tickers) {
+      const entry = counts.get(symbol);
+      if (entry) entry.mentions++;
+    }
+  }
+  return counts;
+}
+
+// One symbol's { mentions, rawMentions } from countMentions' result, with
+// case variants summed
+function symbolMentions(counts, symbol) {
+  let mentions = 0;
+  let rawMentions = 0;
+  for (const [name, entry] of counts) {
+    if (!sameSymbol(name, symbol)) continue;
+    mentions += entry.mentions;
+    rawMentions += entry.rawMentions;
+  }
+  return { mentions, rawMentions };
+}
+
+// Per local day with scans, counted like the leaderboard: each tweet once
+// per day
+function dailySeries(store, symbol, from, to) {
+  const days = new Map();
+  for (const ts of store.timestamps(from, to)) {
+    const day = formatDay(ts);
+    days.set(day, (days.get(day) || 0) + 1);
+  }
+  return [...days].map(([day, scans]) => {
+    const counts = store.mentions(Math.max(from, startOfDay(day)), Math.min(to, startOfDay(shiftDay(day, 1))));
+    return { day, ...symbolMentions(counts, symbol), scans };
+  });
+}
+
+// [from, to) defaults to the whole archive
+function getTickerProfile(store, symbol, { from = -Infinity, to = Infinity, posts = 10, authors = 10 } = {}) {
+  let rawMentions = 0;
+  let firstSeen = null;
+  let lastSeen = null;
+  const seen = new Set();
+  const categories = {};
+  const variants = {};
+
+  for (const t of store.symbolScans(from, to, symbol)) {
+    rawMentions += t.count;
+    variants[t.symbol] = (variants[t.symbol] || 0) + t.count;
+    if (t.category) categories[t.category] = (categories[t.category] || 0) + 1;
+    if (!seen.has(t.ts)) {
+      seen.add(t.ts);
+      firstSeen = firstSeen || t.timestamp;
+      lastSeen = t.timestamp;
+    }
+  }
+  if (!rawMentions) return null;
+  const { mentions } = symbolMentions(store.mentions(from, to), symbol);
+
+  const tweets = store.tweets(from, to, { symbol });
+  const sentiment = { bullish: 0, bearish: 0, neutral: 0, total: tweets.length };
+  const byAuthor = {};
+  for (const tweet of tweets) {
+    sentiment[classifyText(tweet.text)]++;
+    const name = tweet.author || 'unknown';
+    const a = byAuthor[name] = byAuthor[name] || { author: name, tweets: 0, likes: 0, retweets: 0 };
+    a.tweets++;
+    a.likes += tweet.likes;
+    a.retweets += tweet.retweets;
+  }
+  sentiment.bull = sentiment.total ? (sentiment.bullish / sentiment.total * 100).toFixed(1) : '0.0';
+  sentiment.bear = sentiment.total ? (sentiment.bearish / sentiment.total * 100).toFixed(1) : '0.0';
+
+  const category = Object.entries(categories).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  const display = Object.entries(variants).sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    symbol: display,
+    category,
+    mentions,
+    rawMentions,
+    scansWithMentions: seen.size,
+    totalScans: store.count(from, to),
+    firstSeen,
+    lastSeen,
+    series: dailySeries(store, symbol, from, to),
+    sentiment,
+    authors: Object.values(byAuthor)
+      .sort((a, b) => b.tweets - a.tweets || (b.likes + b.retweets) - (a.likes + a.retweets))
+      .slice(0, authors),
+    topPosts: tweets
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, posts)
+      .map(({ author, text, likes, retweets, url, firstSeen }) => ({ author, text, likes, retweets, url, firstSeen }))
+  };
+}
+
+module.exports = { CATEGORY_GROUPS, parseCategories, inCategories, getTickerProfile, sameSymbol, uniqueTweets, countMentions, symbolMentions };
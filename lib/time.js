@@ -0,0 +1,73 @@
+const { getConfig } = require('./config');
+
+// Calendar helpers for the brief's home timezone (config `timeZone`). Day
+// boundaries are computed through Intl so DST transitions land on the right
+// instant.
+
+const { timeZone: TIME_ZONE, timeZoneLabel: TIME_ZONE_LABEL } = getConfig();
+const HOUR = 60 * 60 * 1000;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function zoneOffset(ts, timeZone = TIME_ZONE) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const { type, value } of fmt.formatToParts(new Date(ts))) parts[type] = value;
+  const asUtc = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// Instant at which `day` (YYYY-MM-DD) starts in the given zone
+function startOfDay(day, timeZone = TIME_ZONE) {
+  const m = DAY_PATTERN.exec(day);
+  if (!m) return NaN;
+  const utc = Date.UTC(+m[1], m[2] - 1, +m[3]);
+  if (new Date(utc).toISOString().slice(0, 10) !== day) return NaN;
+  const guess = utc - zoneOffset(utc, timeZone);
+  return utc - zoneOffset(guess, timeZone);
+}
+
+function shiftDay(day, delta) {
+  const m = DAY_PATTERN.exec(day);
+  return new Date(Date.UTC(+m[1], m[2] - 1, +m[3] + delta)).toISOString().slice(0, 10);
+}
+
+function endOfDay(day, timeZone = TIME_ZONE) {
+  if (Number.isNaN(startOfDay(day, timeZone))) return NaN;
+  return startOfDay(shiftDay(day, 1), timeZone);
+}
+
+function formatDay(ts, timeZone = TIME_ZONE) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone });
+}
+
+// Accepts epoch milliseconds or anything Date can parse; NaN when invalid
+function parseInstant(value) {
+  if (value === undefined || value === '') return NaN;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  return Date.parse(value);
+}
+
+// Range endpoints: a bare YYYY-MM-DD means the whole local day, so as a
+// `from` it is that day's start and as a `to` the next day's start
+function parseBound(value, edge) {
+  if (DAY_PATTERN.test(String(value))) return edge === 'end' ? endOfDay(value) : startOfDay(value);
+  return parseInstant(value);
+}
+
+module.exports = {
+  TIME_ZONE,
+  TIME_ZONE_LABEL,
+  HOUR,
+  DAY_PATTERN,
+  zoneOffset,
+  startOfDay,
+  endOfDay,
+  shiftDay,
+  formatDay,
+  parseInstant,
+  parseBound
+};
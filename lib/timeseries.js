@@ -0,0 +1,104 @@
+const { analyzeSentiment, getRegimeLabel } = require('./sentiment');
+const { getFearLevel } = require('./fear');
+const { symbolMentions } = require('./tickers');
+const { HOUR, startOfDay, shiftDay, formatDay } = require('./time');
+
+// Bucketed series for charts. Buckets line up with the brief's home-zone
+// calendar: hourly and 4h buckets start on local hours (0:00, 4:00, ...),
+// daily buckets at local midnight. A bucket with no scans reports null for
+// every metric so gaps in the archive don't read as quiet periods. Mentions
+// count each tweet once per bucket, like the leaderboard; rawMentions is
+// the scanner's count.
+
+const BUCKETS = {
+  '1h': { hours: 1, aliases: ['hour', 'hourly'] },
+  '4h': { hours: 4, aliases: [] },
+  '1d': { hours: 24, aliases: ['day', 'daily'] }
+};
+const MAX_BUCKETS = 2000;
+
+function parseBucket(value) {
+  const name = String(value).toLowerCase();
+  return Object.keys(BUCKETS).find(key => key === name || BUCKETS[key].aliases.includes(name)) || null;
+}
+
+// Hourly for up to two days, 4h up to two weeks, daily beyond that
+function defaultBucket(from, to) {
+  const span = to - from;
+  return span <= 48 * HOUR ? '1h' : span <= 14 * 24 * HOUR ? '4h' : '1d';
+}
+
+// [start, end) pairs covering from..to, aligned to local days
+function bucketBounds(from, to, bucket) {
+  const { hours } = BUCKETS[bucket];
+  const bounds = [];
+  for (let day = formatDay(from); ; day = shiftDay(day, 1)) {
+    const dayStart = startOfDay(day);
+    if (dayStart >= to) break;
+    const dayEnd = startOfDay(shiftDay(day, 1));
+    // DST days are 23 or 25 hours long; the last bucket absorbs the difference
+    for (let start = dayStart; start < dayEnd; start += hours * HOUR) {
+      const end = Math.min(start + hours * HOUR, dayEnd);
+      if (end > from && start < to) bounds.push([start, end]);
+    }
+  }
+  return bounds;
+}
+
+function summarizeBucket(scans, mentions, tickers) {
+  const sentiment = analyzeSentiment(scans);
+  const fear = getFearLevel(scans);
+  const counts = tickers.map(symbol => [symbol, symbolMentions(mentions, symbol)]);
+  const hasSentiment = sentiment.tweets > 0;
+  return {
+    scans: scans.length,
+    tweets: scans.reduce((sum, s) => sum + s.stats.totalTweets, 0),
+    bull: hasSentiment ? Number(sentiment.bull) : null,
+    bear: hasSentiment ? Number(sentiment.bear) : null,
+    regime: hasSentiment ? getRegimeLabel(sentiment).label : null,
+    fear: {
+      level: fear.level,
+      score: fear.score,
+      metals: fear.components.metals.per100,
+      macro: fear.components.macro.per100,
+      bearish: fear.components.bearish.per100
+    },
+    mentions: Object.fromEntries(counts.map(([symbol, c]) => [symbol, c.mentions])),
+    rawMentions: Object.fromEntries(counts.map(([symbol, c]) => [symbol, c.rawMentions]))
+  };
+}
+
+function emptyBucket(tickers) {
+  return {
+    scans: 0,
+    tweets: null,
+    bull: null,
+    bear: null,
+    regime: null,
+    fear: null,
+    mentions: Object.fromEntries(tickers.map(symbol => [symbol, null])),
+    rawMentions: Object.fromEntries(tickers.map(symbol => [symbol, null]))
+  };
+}
+
+// `store` is the scan store (lib/store.js), whose mentions() counts each
+// bucket; from/to are epoch ms
+function getTimeseries(store, { from, to, bucket, tickers = [] }) {
+  const points = bucketBounds(from, to, bucket).map(([start, end]) => {
+    const window = [Math.max(start, from), Math.min(end, to)];
+    const scans = store.range(...window);
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      ...(scans.length ? summarizeBucket(scans, store.mentions(...window), tickers) : emptyBucket(tickers))
+    };
+  });
+  return { bucket, tickers, points };
+}
+
+// Bucket count without building them, for rejecting oversized requests
+function estimateBuckets(from, to, bucket) {
+  return Math.ceil((to - from) / (BUCKETS[bucket].hours * HOUR)) + 1;
+}
+
+module.exports = { BUCKETS, MAX_BUCKETS, parseBucket, defaultBucket, estimateBuckets, getTimeseries };
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Imports a scan data dir into the SQLite store.
+//
+//   npm run migrate -- [--from ./data] [--to ./ct-brief.db] [--dedupe-seconds 300]
+//
+// Files are read with the same normalizer the file backend uses. Re-runs of
+// the scanner seconds apart with identical content are collapsed to the
+// latest one. Scans already in the database are left alone, so the
+// migration can be re-run as new files land.
+
+const path = require('path');
+const { loadScanDir, dedupeScans } = require('../lib/scans');
+const { createSqliteStore } = require('../lib/sqlite-store');
+const { getConfig } = require('../lib/config');
+
+const ROOT = path.join(__dirname, '..');
+
+// Flags default to the deployment's config (dataDir, store.database)
+function defaults() {
+  const config = getConfig();
+  return {
+    from: config.dataDir || path.join(ROOT, 'data'),
+    to: config.store.database,
+    'dedupe-seconds': 300
+  };
+}
+
+function parseArgs(argv) {
+  const options = defaults();
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Usage: migrate [--from DIR] [--to FILE] [--dedupe-seconds N] (bad argument "${argv[i]}")`);
+    }
+    options[name] = argv[++i];
+  }
+  options['dedupe-seconds'] = Number(options['dedupe-seconds']);
+  if (!(options['dedupe-seconds'] >= 0)) throw new Error('--dedupe-seconds must be a non-negative number');
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { scans, rejected } = loadScanDir(options.from);
+  const { scans: unique, dropped } = dedupeScans(scans, options['dedupe-seconds'] * 1000);
+
+  const store = createSqliteStore(options.to).load();
+  const inserted = store.insertScans(unique);
+  const { scans: total } = store.stats();
+  store.close();
+
+  console.log(`Read ${scans.length} scans from ${options.from}`);
+  for (const { file, reason } of rejected) console.log(`  skipped ${file}: ${reason}`);
+  console.log(`Collapsed ${dropped.length} re-runs with identical content`);
+  for (const { file, duplicateOf } of dropped) console.log(`  ${file} -> ${duplicateOf}`);
+  console.log(`Inserted ${inserted} scans (${unique.length - inserted} already present); ${options.to} now holds ${total}`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
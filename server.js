@@ -1,103 +1,137 @@
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { activeConfig } = require('./lib/config');
+
+// Settings are read as modules load, so a bad config has to stop us here
+let settings;
+try {
+  settings = activeConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const config = settings.config;
+
+const { openStore } = require('./lib/store');
+const { CATEGORIES, tweetKey, mergeTweet } = require('./lib/scans');
+const { getFearLevel } = require('./lib/fear');
+const { analyzeSentiment, getRegimeLabel, NO_DATA_REGIME } = require('./lib/sentiment');
+const { escapeHtml, renderPage } = require('./lib/layout');
+const { CATEGORY_GROUPS, parseCategories, getTickerProfile } = require('./lib/tickers');
+const { getMomentum } = require('./lib/momentum');
+const { loadAlertConfig, createAlerter } = require('./lib/alerts');
+const { digestText, digestHtml, summaryHtml, formatDate } = require('./lib/digest');
+const { renderAtom, renderRss } = require('./lib/feed');
+const { sentimentChart, fearChart, sparkline, CHART_STYLES, CHART_SCRIPT } = require('./lib/charts');
+const { MAX_BUCKETS, parseBucket, defaultBucket, estimateBuckets, getTimeseries } = require('./lib/timeseries');
+const { metric, rankChanges, getEngagement } = require('./lib/compare');
+const { SORTS: AUTHOR_SORTS, getAuthorStats, getAuthorProfile } = require('./lib/authors');
+const { validateBatch, tokenMatches, scanFileName } = require('./lib/ingest');
+const { createRegistry, validateRegistry } = require('./lib/registry');
+const { loadPrices, runBacktest } = require('./lib/backtest');
+const { renderCard, OG_WIDTH, OG_HEIGHT } = require('./lib/og');
+const { DATASETS: EXPORT_DATASETS, FORMATS: EXPORT_FORMATS, writeExport } = require('./lib/export');
+const { buildSpec, listOperations, createValidator } = require('./lib/openapi');
+const { DEFAULT_LOCALE, DEFAULT_TEMPLATES, renderNarrative, narrativeContext, loadTemplates, availableLocales } = require('./lib/narrative');
+const { TIME_ZONE, TIME_ZONE_LABEL, HOUR, DAY_PATTERN, endOfDay, shiftDay, formatDay, parseInstant, parseBound } = require('./lib/time');
 
 const app = express();
-const PORT = process.env.PORT || 3500;
+const PORT = config.port;
 
-// Try multiple data locations
+// Config `dataDir`, or the first of these that exists
 const DATA_DIRS = [
   path.join(__dirname, 'data'),
   path.join(process.env.HOME || '', 'ct-scanner/data')
 ];
 
 function getDataDir() {
+  if (config.dataDir) return config.dataDir;
   for (const dir of DATA_DIRS) {
     if (fs.existsSync(dir)) return dir;
   }
   return DATA_DIRS[0];
 }
 
-function loadScans(hoursBack = 24) {
-  const dataDir = getDataDir();
-  if (!fs.existsSync(dataDir)) return [];
-  
-  const cutoff = Date.now() - (hoursBack * 60 * 60 * 1000);
-  const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
-  
-  const scans = [];
-  for (const file of files) {
-    try {
-      const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
-      const ts = new Date(data.timestamp).getTime();
-      if (ts >= cutoff) scans.push(data);
-    } catch (e) {}
+// Ticker aliases, denylist and metadata, applied to every scan as it's read
+const registry = createRegistry(config.files.tickerRegistry).load();
+
+// STORE=sqlite reads from DATABASE_PATH (see scripts/migrate.js)
+const store = openStore({
+  backend: config.store.backend,
+  dataDir: getDataDir(),
+  database: config.store.database,
+  registry
+}).load().watch();
+
+// Webhook alerts, evaluated on every newly ingested scan
+const ALERTS_CONFIG = config.files.alerts;
+let alerter = null;
+try {
+  const alertConfig = loadAlertConfig(ALERTS_CONFIG);
+  if (alertConfig) {
+    alerter = createAlerter({ config: alertConfig, range: store.range });
+    alerter.prime(store.all());
+    store.onChange(scans => alerter.onScans(scans).catch(err => console.warn(`Alert evaluation failed: ${err.message}`)));
   }
-  
-  return scans.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+} catch (e) {
+  console.error(`Alerts disabled: ${e.message}`);
 }
 
-function loadAllScans() {
-  const dataDir = getDataDir();
-  if (!fs.existsSync(dataDir)) return [];
-  
-  const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
-  const scans = [];
-  for (const file of files) {
-    try {
-      scans.push(JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')));
-    } catch (e) {}
-  }
-  return scans.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+// Narrative templates; NARRATIVE_CONFIG can override, add or remove them
+const NARRATIVE_CONFIG = config.files.narrative;
+let narrativeTemplates = DEFAULT_TEMPLATES;
+try {
+  narrativeTemplates = loadTemplates(NARRATIVE_CONFIG);
+} catch (e) {
+  console.error(`Narrative overrides ignored: ${e.message}`);
 }
+const NARRATIVE_LOCALES = availableLocales(narrativeTemplates);
 
-function analyzeSentiment(scans) {
-  if (!scans.length) return { bull: 0, bear: 0, ratio: 0, trend: 'UNKNOWN' };
-  
-  const bull = scans.reduce((s, d) => s + (d.sentiment?.bullish || 0), 0) / scans.length;
-  const bear = scans.reduce((s, d) => s + (d.sentiment?.bearish || 0), 0) / scans.length;
-  const ratio = bear > 0 ? (bull / bear).toFixed(2) : bull > 0 ? '∞' : '0';
-  
-  // Trend: compare first half vs second half
-  const mid = Math.floor(scans.length / 2);
-  const firstHalf = scans.slice(0, mid);
-  const secondHalf = scans.slice(mid);
-  const firstBull = firstHalf.reduce((s, d) => s + (d.sentiment?.bullish || 0), 0) / (firstHalf.length || 1);
-  const secondBull = secondHalf.reduce((s, d) => s + (d.sentiment?.bullish || 0), 0) / (secondHalf.length || 1);
-  const trend = secondBull > firstBull * 1.1 ? 'RISING' : secondBull < firstBull * 0.9 ? 'DECLINING' : 'STABLE';
-  
-  return { bull: bull.toFixed(1), bear: bear.toFixed(1), ratio, trend };
+// Windows end at `asOf` (inclusive) so any past brief can be reproduced
+function loadScans(hoursBack = 24, asOf = Date.now()) {
+  const cutoff = asOf - (hoursBack * HOUR);
+  return store.range(cutoff, asOf + 1);
 }
 
-function getTopTickers(scans, limit = 15) {
-  const counts = {};
-  for (const scan of scans) {
-    const tickers = scan.topTickers || [];
-    for (const [ticker, count] of tickers) {
-      const clean = ticker.replace('$', '');
-      counts[clean] = (counts[clean] || 0) + count;
-    }
-  }
-  return Object.entries(counts)
-    .sort((a, b) => b[1] - a[1])
+function loadAllScans(asOf = Date.now()) {
+  return store.range(-Infinity, asOf + 1);
+}
+
+// Momentum compares the window against the `baseline` hours right before it
+const DEFAULT_BASELINE_HOURS = config.momentum.baselineHours;
+
+function loadMomentum(hours, asOf = Date.now(), { baseline = DEFAULT_BASELINE_HOURS, ...options } = {}) {
+  const start = asOf - hours * HOUR;
+  return getMomentum(store.range(start, asOf + 1), store.range(start - baseline * HOUR, start), options);
+}
+
+// `categories` limits the leaderboard to those byCategory buckets.
+// Ranked by `mentions` in distinct tweets (see countMentions), with the
+// scanner's count as `rawMentions` and the registry's `meta` for
+// registered tickers
+function rankTickers(from, to, { limit = 15, categories = null } = {}) {
+  return [...store.mentions(from, to, categories)]
+    .sort((a, b) => b[1].mentions - a[1].mentions || b[1].rawMentions - a[1].rawMentions)
     .slice(0, limit)
-    .map(([name, mentions]) => ({ name, mentions }));
+    .map(([name, { mentions, rawMentions }]) => ({ name, mentions, rawMentions }));
+}
+
+function getTopTickers(hoursBack, asOf, limit = 15, categories = null) {
+  return rankTickers(asOf - hoursBack * HOUR, asOf + 1, { limit, categories }).map(t => {
+    const meta = registry.describe(t.name);
+    return meta ? { ...t, meta } : t;
+  });
 }
 
+// Limited to config `commodities` when that lists any
 function getCommodities(scans) {
+  const include = config.commodities.length ? new Set(config.commodities.map(c => c.toLowerCase())) : null;
   const commodities = {};
   for (const scan of scans) {
-    const keywords = scan.byCategory?.commodities || scan.byCategory?.metals || [];
-    // Also check macroKeywords
-    const macro = scan.macroKeywords || {};
-    for (const [kw, count] of Object.entries(macro)) {
-      if (['gold', 'silver', 'copper', 'oil', 'corn', 'coffee'].includes(kw)) {
-        commodities[kw] = (commodities[kw] || 0) + count;
-      }
-    }
-    // Check commodity keywords
-    const ck = scan.commodityKeywords || {};
-    for (const [kw, count] of Object.entries(ck)) {
+    for (const [kw, count] of Object.entries(scan.keywordMentions.commodities)) {
+      if (include && !include.has(kw.toLowerCase())) continue;
       commodities[kw] = (commodities[kw] || 0) + count;
     }
   }
@@ -106,702 +140,1527 @@ function getCommodities(scans) {
     .map(([name, mentions]) => ({ name, mentions }));
 }
 
+// Retweets and re-sightings of a post collapse onto one entry by tweet key
 function getHighEngagement(scans, limit = 5) {
-  const posts = [];
+  const posts = new Map();
   for (const scan of scans) {
-    const hp = scan.highEngagement || [];
-    for (const post of hp) {
-      posts.push({
-        author: post.author || post.username,
-        likes: post.likes || post.engagement,
-        text: (post.text || post.content || '').slice(0, 200),
-        url: post.url
+    for (const post of scan.highEngagement) {
+      const key = tweetKey(post);
+      const existing = posts.get(key);
+      if (existing) {
+        mergeTweet(existing, post);
+        continue;
+      }
+      posts.set(key, {
+        author: post.author,
+        likes: post.likes,
+        text: post.text,
+        url: post.url,
+        retweetedBy: [...(post.retweetedBy || [])]
       });
     }
   }
-  // Deduplicate by URL and sort
-  const seen = new Set();
-  return posts
-    .filter(p => {
-      if (!p.url || seen.has(p.url)) return false;
-      seen.add(p.url);
-      return true;
-    })
+  return [...posts.values()]
     .sort((a, b) => (b.likes || 0) - (a.likes || 0))
-    .slice(0, limit);
+    .slice(0, limit)
+    .map(p => ({ ...p, text: p.text.slice(0, 200) }));
 }
 
-function getRegimeLabel(ratio) {
-  const r = parseFloat(ratio);
-  if (r >= 5) return { label: 'EUPHORIA', emoji: '🚀', color: '#00ff88' };
-  if (r >= 3) return { label: 'BULLISH', emoji: '🟢', color: '#4ade80' };
-  if (r >= 1.5) return { label: 'LEANING BULL', emoji: '🟡', color: '#facc15' };
-  if (r >= 0.67) return { label: 'NEUTRAL', emoji: '⚪', color: '#94a3b8' };
-  if (r >= 0.33) return { label: 'LEANING BEAR', emoji: '🟠', color: '#fb923c' };
-  return { label: 'BEARISH', emoji: '🔴', color: '#ef4444' };
+// Mention totals for the memes and majors sections, for the narrative's
+// rotation sentences
+function mentionShares(hoursBack, asOf) {
+  const total = group => getTopTickers(hoursBack, asOf, 1000, CATEGORY_GROUPS[group].categories)
+    .reduce((sum, t) => sum + t.mentions, 0);
+  return { memes: total('memes'), majors: total('majors') };
 }
 
-function getFearLevel(commodities, scanCount) {
-  const goldMentions = commodities.find(c => c.name === 'gold')?.mentions || 0;
-  const perScan = scanCount > 0 ? goldMentions / scanCount : 0;
-  if (perScan >= 5) return { level: 'EXTREME', emoji: '🔴', color: '#ef4444' };
-  if (perScan >= 3) return { level: 'HIGH', emoji: '🟠', color: '#f97316' };
-  if (perScan >= 1.5) return { level: 'ELEVATED', emoji: '🟡', color: '#eab308' };
-  return { level: 'NORMAL', emoji: '🟢', color: '#22c55e' };
+// What the narrative compares against: the window of equal length right
+// before this one, or null if it has no scans
+function previousSummary(hours, asOf) {
+  const prevAsOf = asOf - hours * HOUR - 1;
+  const scans = loadScans(hours, prevAsOf);
+  if (!scans.length) return null;
+  const sentiment = analyzeSentiment(scans);
+  return { sentiment, regime: getRegimeLabel(sentiment), fear: getFearLevel(scans), shares: mentionShares(hours, prevAsOf) };
 }
 
-function getMomentum(allScans, recentScans) {
-  if (allScans.length < 40 || recentScans.length < 10) return [];
-  
-  const recentTickers = {};
-  const priorTickers = {};
-  
-  const recentStart = new Date(recentScans[0].timestamp).getTime();
-  
-  for (const scan of allScans) {
-    const ts = new Date(scan.timestamp).getTime();
-    const target = ts >= recentStart ? recentTickers : priorTickers;
-    for (const [ticker, count] of (scan.topTickers || [])) {
-      const clean = ticker.replace('$', '');
-      target[clean] = (target[clean] || 0) + count;
-    }
+// A window with fewer than config.minScans scans is too thin for a regime,
+// fear level or narrative to mean anything; responses say so in `status`
+function windowStatus(scans) {
+  return scans.length >= config.minScans ? 'ok' : 'insufficientData';
+}
+
+// One brief as the page, /api/brief, the feeds and the digest all see it
+function buildBrief({ hours = 24, asOf = Date.now(), categories = null, lang = DEFAULT_LOCALE } = {}) {
+  const scans = loadScans(hours, asOf);
+  const allScans = loadAllScans(asOf);
+  const sentiment = analyzeSentiment(scans);
+  const regime = getRegimeLabel(sentiment);
+  const tickers = getTopTickers(hours, asOf, 15, categories);
+  const fear = getFearLevel(scans);
+  const momentum = loadMomentum(hours, asOf, { categories });
+  
+  const sections = {};
+  for (const [name, group] of Object.entries(CATEGORY_GROUPS)) {
+    sections[name] = {
+      title: group.title,
+      categories: group.categories,
+      tickers: getTopTickers(hours, asOf, 10, group.categories),
+      momentum: loadMomentum(hours, asOf, { categories: group.categories })
+    };
   }
   
-  const results = [];
-  const allTickers = new Set([...Object.keys(recentTickers), ...Object.keys(priorTickers)]);
-  
-  for (const ticker of allTickers) {
-    const recent = recentTickers[ticker] || 0;
-    const prior = priorTickers[ticker] || 0;
-    if (recent + prior < 5) continue;
-    
-    const recentRate = recent / recentScans.length;
-    const priorRate = prior / (allScans.length - recentScans.length || 1);
-    
-    if (priorRate > 0) {
-      const change = ((recentRate - priorRate) / priorRate * 100).toFixed(0);
-      if (Math.abs(change) > 30) {
-        results.push({ ticker, recentRate: recentRate.toFixed(2), priorRate: priorRate.toFixed(2), change: parseInt(change), direction: change > 0 ? 'up' : 'down' });
-      }
-    } else if (recent >= 3) {
-      results.push({ ticker, recentRate: recentRate.toFixed(2), priorRate: '0.00', change: 999, direction: 'new' });
-    }
+  const highEngagement = getHighEngagement(scans, 8);
+  const context = narrativeContext({
+    hours, sentiment, regime, fear, momentum, highEngagement,
+    shares: mentionShares(hours, asOf),
+    previous: previousSummary(hours, asOf)
+  });
+
+  return {
+    hours,
+    asOf,
+    categories,
+    lang,
+    status: windowStatus(scans),
+    scans,
+    archiveSize: allScans.length,
+    firstScan: allScans[0]?.ts,
+    sentiment,
+    regime,
+    tickers,
+    commodities: getCommodities(scans),
+    fear,
+    momentum,
+    sections,
+    highEngagement,
+    narrative: renderNarrative(narrativeTemplates, context, lang)
+  };
+}
+
+// Brief cache. A brief only sees asOf through which scans fall in the
+// windows it reads: its own, the momentum baseline before it and the
+// previous window the narrative compares against. The key is the scan count
+// before each of those edges, so live requests share an entry until a scan
+// lands or ages out of a window. Ingests and registry edits empty the cache
+// and bump the generation, which every key (and so every ETag) carries.
+const BRIEF_CACHE_SIZE = 200;
+const briefCache = new Map();
+const stampCache = new Map();
+const BOOT_ID = Date.now().toString(36);
+let briefGeneration = 0;
+store.onChange(() => {
+  briefGeneration++;
+  briefCache.clear();
+  stampCache.clear();
+});
+
+function windowKey(edges) {
+  return [BOOT_ID, briefGeneration, ...edges.map(edge => store.count(-Infinity, edge))].join('|');
+}
+
+function briefKey({ hours, asOf, categories, lang }) {
+  const start = asOf - hours * HOUR;
+  const edges = [asOf + 1, start, start - DEFAULT_BASELINE_HOURS * HOUR, start - 1 - hours * HOUR];
+  return [windowKey(edges), hours, categories ? categories.join(',') : '', lang].join('|');
+}
+
+// For JSON routes computed straight from the store: a window key over the
+// `edges` they read, standing in for a brief in notModified, with the time
+// the key was first seen as builtAt
+function windowStamp(edges) {
+  const cacheKey = windowKey(edges);
+  if (!stampCache.has(cacheKey)) {
+    if (stampCache.size >= BRIEF_CACHE_SIZE) stampCache.delete(stampCache.keys().next().value);
+    stampCache.set(cacheKey, Date.now());
   }
-  
-  return results.sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, 12);
+  return { cacheKey, builtAt: stampCache.get(cacheKey) };
 }
 
-function generateNarrative(sentiment, regime, fear, tickers, momentum) {
-  const parts = [];
-  
-  // Opening
-  if (regime.label === 'EUPHORIA') {
-    parts.push('CT is running hot. Multiple signals pointing toward risk-on euphoria.');
-  } else if (regime.label === 'BULLISH') {
-    parts.push(`Structural optimism holds with a ${sentiment.ratio}:1 bull/bear ratio, though the mood is ${sentiment.trend.toLowerCase()}.`);
-  } else if (regime.label === 'LEANING BULL') {
-    parts.push(`Mild optimism with a ${sentiment.ratio}:1 bull/bear ratio. Not euphoria, not conviction — somewhere in between.`);
-  } else if (regime.label === 'NEUTRAL') {
-    parts.push('Markets are in wait-and-see mode. Neither conviction nor fear dominating.');
-  } else if (regime.label === 'LEANING BEAR') {
-    parts.push('Caution is creeping in. Bears edging above bulls but no panic.');
-  } else {
-    parts.push('Fear dominates. Bears have the floor.');
+// buildBrief through the cache: a copy stamped with this request's asOf,
+// plus `cacheKey` and `builtAt` for conditional responses
+function loadBrief({ hours = 24, asOf = Date.now(), categories = null, lang = DEFAULT_LOCALE } = {}) {
+  const options = { hours, asOf, categories, lang };
+  const key = briefKey(options);
+  let entry = briefCache.get(key);
+  if (!entry) {
+    entry = { brief: buildBrief(options), builtAt: Date.now() };
+    if (briefCache.size >= BRIEF_CACHE_SIZE) briefCache.delete(briefCache.keys().next().value);
+    briefCache.set(key, entry);
   }
-  
-  // Fear gauge
-  if (fear.level === 'EXTREME') {
-    parts.push('Gold mentions are at extreme levels — historically this precedes volatility, not necessarily direction.');
-  } else if (fear.level === 'HIGH') {
-    parts.push('The fear gauge is elevated. Commodity mentions suggest macro uncertainty is on traders\' minds.');
+  return { ...entry.brief, asOf, cacheKey: key, builtAt: entry.builtAt };
+}
+
+// The window of equal length that ends right where `brief` starts
+function previousWindow(brief) {
+  return { hours: brief.hours, asOf: brief.asOf - brief.hours * HOUR - 1, categories: brief.categories, lang: brief.lang };
+}
+
+// ?compare=prev: the brief's window against the one of equal length that
+// ends right where it starts
+function buildComparison(brief) {
+  const { hours, categories } = brief;
+  const previous = loadBrief(previousWindow(brief));
+  const prevAsOf = previous.asOf;
+  // Full previous leaderboards, so rank changes reach past the top N
+  const previousBoard = cats => getTopTickers(hours, prevAsOf, 1000, cats);
+  const current = getEngagement(brief.scans);
+  const before = getEngagement(previous.scans);
+
+  return {
+    previous: {
+      from: new Date(prevAsOf + 1 - hours * HOUR).toISOString(),
+      asOf: new Date(prevAsOf).toISOString(),
+      scanCount: previous.scans.length
+    },
+    regime: {
+      current: brief.regime.label,
+      previous: previous.regime.label,
+      changed: brief.regime.label !== previous.regime.label
+    },
+    sentiment: {
+      bull: metric(brief.sentiment.bull, previous.sentiment.bull),
+      bear: metric(brief.sentiment.bear, previous.sentiment.bear),
+      ratio: metric(brief.sentiment.ratio, previous.sentiment.ratio, 2),
+      tweets: metric(brief.sentiment.tweets, previous.sentiment.tweets, 0)
+    },
+    fear: {
+      level: { current: brief.fear.level, previous: previous.fear.level },
+      score: metric(brief.fear.score, previous.fear.score)
+    },
+    tickers: rankChanges(brief.tickers, previousBoard(categories)),
+    sections: Object.fromEntries(Object.entries(brief.sections).map(([name, section]) =>
+      [name, rankChanges(section.tickers, previousBoard(section.categories))])),
+    engagement: Object.fromEntries(Object.keys(current).map(key =>
+      [key, metric(current[key], before[key], key === 'likesPerPost' ? 1 : 0)]))
+  };
+}
+
+function briefJson(brief) {
+  const ok = brief.status === 'ok';
+  return {
+    generated: new Date().toISOString(),
+    asOf: new Date(brief.asOf).toISOString(),
+    window: `${brief.hours}h`,
+    category: brief.categories,
+    status: brief.status,
+    scanCount: brief.scans.length,
+    totalScans: brief.archiveSize,
+    regime: ok ? { label: brief.regime.label, ...brief.sentiment, fear: brief.fear.level } : null,
+    tickers: brief.tickers,
+    commodities: brief.commodities,
+    momentum: brief.momentum,
+    sections: brief.sections,
+    narrative: ok ? brief.narrative : null,
+    lang: brief.lang,
+    ...(brief.compare ? { compare: brief.compare } : {})
+  };
+}
+
+// Conditional GET for responses rendered from cached briefs (or window
+// stamps, see windowStamp). The ETag is
+// weak (a live response's timestamps move on while its content doesn't) and
+// Last-Modified is when the newest of the briefs was computed. Sends the 304
+// and returns true when the client's copy is current.
+// Past windows get the same short max-age as live ones: a backfilled scan
+// (POST /api/scans or a file dropped into the data dir) can still change
+// them, and only bumps the generation the ETag carries.
+const MAX_AGE_SECONDS = 60;
+
+function notModified(req, res, briefs) {
+  const hash = crypto.createHash('sha1').update([req.originalUrl, ...briefs.map(b => b.cacheKey)].join('\n')).digest('hex');
+  res.set({
+    ETag: `W/"${hash.slice(0, 24)}"`,
+    'Last-Modified': new Date(Math.max(0, ...briefs.map(b => b.builtAt))).toUTCString(),
+    'Cache-Control': `public, max-age=${MAX_AGE_SECONDS}`
+  });
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+}
+
+// Every API error is { error, code, ...extra }: `error` is for people,
+// `code` (one of the Error schema's codes in lib/schemas/openapi.json) for
+// clients to branch on
+function sendError(res, status, code, error, extra = {}) {
+  return res.status(status).json({ error, code, ...extra });
+}
+
+// The OpenAPI document, with the lists that live in code filled in
+const apiSpec = buildSpec({
+  locales: NARRATIVE_LOCALES,
+  categories: [...CATEGORIES, ...Object.keys(CATEGORY_GROUPS)],
+  scannerCategories: CATEGORIES,
+  authorSorts: AUTHOR_SORTS,
+  exportDatasets: Object.keys(EXPORT_DATASETS),
+  exportFormats: Object.keys(EXPORT_FORMATS)
+});
+const apiOperations = listOperations(apiSpec);
+const validateRequest = createValidator(apiSpec);
+
+// API requests (and the feeds, also in the document) are checked against
+// the document before any route sees them; every bad or unknown parameter
+// is reported at once
+function checkParams(req, res, next) {
+  const errors = validateRequest(req);
+  if (!errors.length) return next();
+  return sendError(res, 400, 'invalid_parameter',
+    `Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, { details: errors });
+}
+app.use('/api', checkParams);
+
+// Every route measures its window back from ?asOf= (ISO or epoch ms), default now
+app.use((req, res, next) => {
+  const asOf = req.query.asOf === undefined ? Date.now() : parseInstant(req.query.asOf);
+  if (Number.isNaN(asOf)) {
+    return sendError(res, 400, 'invalid_parameter', 'Invalid asOf: expected an ISO timestamp or epoch milliseconds');
   }
-  
-  // Momentum
-  const rising = momentum.filter(m => m.direction === 'up' || m.direction === 'new').slice(0, 3);
-  const falling = momentum.filter(m => m.direction === 'down').slice(0, 3);
-  
-  if (rising.length) {
-    parts.push(`Attention building on ${rising.map(m => '$' + m.ticker).join(', ')}.`);
+  req.asOf = asOf;
+  next();
+});
+
+// Window length: ?hours= or an explicit ?from=&to= range. from/to take ISO
+// timestamps, epoch ms or YYYY-MM-DD (whole local days) and `to` is
+// exclusive. `to` stands in for asOf; `from` sets req.hours to the range's
+// length and is kept exactly as req.from. req.hours is null when neither
+// was given (routes pick a default).
+const MAX_WINDOW_HOURS = 24 * 366;
+
+app.use((req, res, next) => {
+  // Empty form fields (the date-range picker) count as not given
+  const param = name => (req.query[name] === '' ? undefined : req.query[name]);
+  const hours = param('hours');
+  const from = param('from');
+  const to = param('to');
+  const fail = error => sendError(res, 400, 'invalid_parameter', error);
+
+  req.hours = null;
+  req.from = null;
+  if (hours !== undefined) {
+    const value = Number(hours);
+    if (!(value > 0 && value <= MAX_WINDOW_HOURS)) return fail(`Invalid hours: expected a number above 0 and at most ${MAX_WINDOW_HOURS}`);
+    if (from !== undefined) return fail('Pass either hours or from, not both');
+    req.hours = value;
   }
-  if (falling.length) {
-    parts.push(`Narrative fading for ${falling.map(m => '$' + m.ticker).join(', ')}.`);
+
+  if (to !== undefined) {
+    if (req.query.asOf !== undefined) return fail('Pass either asOf or to, not both');
+    const end = parseBound(to, 'end');
+    if (Number.isNaN(end)) return fail('Invalid to: expected an ISO timestamp, epoch milliseconds or YYYY-MM-DD');
+    req.asOf = end - 1;
   }
-  
-  return parts.join(' ');
+
+  if (from !== undefined) {
+    const start = parseBound(from, 'start');
+    if (Number.isNaN(start)) return fail('Invalid from: expected an ISO timestamp, epoch milliseconds or YYYY-MM-DD');
+    const span = (req.asOf + 1 - start) / HOUR;
+    if (span <= 0) return fail('Invalid range: from must be before to');
+    if (span > MAX_WINDOW_HOURS) return fail(`Range too long: at most ${MAX_WINDOW_HOURS} hours`);
+    req.hours = span;
+    req.from = start;
+  }
+
+  req.compare = false;
+  if (req.query.compare !== undefined) {
+    if (req.query.compare !== 'prev') return sendError(res, 400, 'invalid_parameter', `Invalid compare: ${req.query.compare}`, { allowed: ['prev'] });
+    req.compare = true;
+  }
+  next();
+});
+
+// ?category= accepts byCategory names or section groups (majors, memes, equities)
+app.use((req, res, next) => {
+  req.categories = null;
+  if (req.query.category === undefined) return next();
+  const { categories, unknown } = parseCategories(req.query.category);
+  if (unknown.length || !categories.length) {
+    return sendError(res, 400, 'invalid_parameter', `Unknown category: ${unknown.join(', ') || '(empty)'}`, {
+      allowed: [...CATEGORIES, ...Object.keys(CATEGORY_GROUPS)]
+    });
+  }
+  req.categories = categories;
+  next();
+});
+
+// ?lang= picks the narrative's language
+app.use((req, res, next) => {
+  req.lang = DEFAULT_LOCALE;
+  if (req.query.lang === undefined) return next();
+  if (!NARRATIVE_LOCALES.includes(req.query.lang)) {
+    return sendError(res, 400, 'invalid_parameter', `Unsupported lang: ${req.query.lang}`, { allowed: NARRATIVE_LOCALES });
+  }
+  req.lang = req.query.lang;
+  next();
+});
+
+// `series` (from getTimeseries) adds a mentions sparkline to each card
+function tickerSpark(series, symbol, options = {}) {
+  if (!series) return '';
+  const values = series.points.map(p => p.mentions[symbol] ?? null);
+  return sparkline(values, { label: `$${symbol} mentions per ${series.bucket}`, ...options });
 }
 
-// Generate the brief page
-app.get('/', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  const allScans = loadAllScans();
-  
-  const sentiment = analyzeSentiment(scans);
-  const regime = getRegimeLabel(sentiment.ratio);
-  const tickers = getTopTickers(scans);
-  const commodities = getCommodities(scans);
-  const fear = getFearLevel(commodities, scans.length);
-  const highEngagement = getHighEngagement(scans, 8);
-  const momentum = getMomentum(allScans, scans);
-  const narrative = generateNarrative(sentiment, regime, fear, tickers, momentum);
-  
-  const now = new Date();
-  const dateStr = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/New_York' });
-  const timeStr = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York' });
-  
+// Compare mode: signed change against the previous window, coloured by
+// whether the move is good news (`goodWhenUp`)
+function renderDelta(m, { unit = '', goodWhenUp = true } = {}) {
+  if (!m || m.delta === null) return '';
+  const tone = m.delta === 0 ? 'flat' : (m.delta > 0) === goodWhenUp ? 'up' : 'down';
+  return `<div class="delta ${tone}">${m.delta > 0 ? '+' : ''}${m.delta}${unit} <span>vs ${m.previous}${unit}</span></div>`;
+}
+
+function renderRankChange(rank) {
+  if (!rank) return '';
+  if (rank.new) return '<div class="rank-change new">NEW</div>';
+  if (rank.rankChange === 0) return '<div class="rank-change flat">=</div>';
+  return `<div class="rank-change ${rank.rankChange > 0 ? 'up' : 'down'}">${rank.rankChange > 0 ? '▲' : '▼'}${Math.abs(rank.rankChange)}</div>`;
+}
+
+// `ranks` (compare mode) lines up with `tickers` index for index
+function authorLink(author) {
+  if (!author) return '<span class="post-author">@unknown</span>';
+  return `<a class="post-author author-link" href="/authors/${encodeURIComponent(author)}">@${escapeHtml(author)}</a>`;
+}
+
+function renderTickerGrid(tickers, series = null, ranks = null) {
+  return `<div class="ticker-grid">
+      ${tickers.map((t, i) => `
+      <a class="ticker" href="/ticker/${encodeURIComponent(t.name)}">
+        <div class="ticker-name">$${escapeHtml(t.name)}</div>
+        <div class="ticker-count"${t.rawMentions !== t.mentions ? ` title="${t.rawMentions} mentions before removing retweets and repeats"` : ''}>${t.mentions} mentions</div>
+        ${renderRankChange(ranks?.[i])}
+        ${tickerSpark(series, t.name)}
+      </a>`).join('')}
+    </div>`;
+}
+
+// The momentum series spans baseline + window; the window part is shaded
+function renderMomentumList(momentum, limit = 5, series = null) {
   const rising = momentum.filter(m => m.direction === 'up' || m.direction === 'new');
   const falling = momentum.filter(m => m.direction === 'down');
+  const spark = m => tickerSpark(series, m.ticker, {
+    width: 120,
+    color: m.direction === 'down' ? '#ef4444' : m.direction === 'new' ? '#818cf8' : '#4ade80',
+    highlightFrom: series?.windowStart
+  });
+  return `<div class="momentum-list">
+      ${rising.slice(0, limit).map(m => `
+      <div class="momentum-item">
+        <span class="momentum-ticker">$${escapeHtml(m.ticker)}</span>
+        ${spark(m)}
+        <span class="momentum-change ${m.direction}">${m.direction === 'new' ? '🆕 NEW' : `+${m.change}%`}</span>
+      </div>`).join('')}
+      ${falling.slice(0, limit).map(m => `
+      <div class="momentum-item">
+        <span class="momentum-ticker">$${escapeHtml(m.ticker)}</span>
+        ${spark(m)}
+        <span class="momentum-change down">${m.change}%</span>
+      </div>`).join('')}
+    </div>`;
+}
+
+// Chart data for the brief page: the window itself for sentiment, fear and
+// ticker cards, and baseline + window for the momentum cards
+function loadBriefSeries(brief, sections) {
+  const from = brief.asOf - brief.hours * HOUR;
+  const to = brief.asOf + 1;
+  const unique = list => [...new Set(list)];
+  const window = getTimeseries(store, {
+    from,
+    to,
+    bucket: defaultBucket(from, to),
+    tickers: unique(sections.flatMap(s => s.tickers.map(t => t.name)))
+  });
+
+  const baselineFrom = from - DEFAULT_BASELINE_HOURS * HOUR;
+  const momentum = getTimeseries(store, {
+    from: baselineFrom,
+    to,
+    bucket: defaultBucket(baselineFrom, to),
+    tickers: unique(sections.flatMap(s => s.momentum.map(m => m.ticker)))
+  });
+  momentum.windowStart = momentum.points.findIndex(p => Date.parse(p.end) > from);
+
+  return { window, momentum, hasData: window.points.some(p => p.scans > 0) };
+}
+
+// Generate the brief page. `day` is set for permalinks (/brief/YYYY-MM-DD).
+function sendBriefPage(req, res, { hours, asOf, day, categories, compare = false, lang = DEFAULT_LOCALE }) {
+  const brief = loadBrief({ hours, asOf, categories, lang });
+  if (notModified(req, res, compare ? [brief, loadBrief(previousWindow(brief))] : [brief])) return;
+  const { scans, sentiment, tickers, commodities, fear, highEngagement, momentum, narrative } = brief;
+  const comparison = compare ? buildComparison(brief) : null;
+  // Too few scans: no regime, fear reading or narrative, just the note
+  const thin = brief.status === 'insufficientData';
+  const regime = thin ? NO_DATA_REGIME : brief.regime;
+  const thinNote = `Only ${scans.length} scan${scans.length === 1 ? '' : 's'} in this window (at least ${config.minScans} needed): too few to read a regime`;
+  
+  const historical = asOf < Date.now() - 60000;
+  const now = new Date(Math.min(asOf, Date.now()));
+  const dateStr = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: TIME_ZONE });
+  const timeStr = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIME_ZONE });
+  const categoryQuery = categories ? `&category=${encodeURIComponent(categories.join(','))}` : '';
+  const compareQuery = compare ? '&compare=prev' : '';
+  const langQuery = lang === DEFAULT_LOCALE ? '' : `&lang=${encodeURIComponent(lang)}`;
+  const windowLink = h => (day ? `/brief/${day}?hours=${h}` : `/?hours=${h}${historical ? `&asOf=${new Date(asOf).toISOString()}` : ''}`) + categoryQuery + compareQuery + langQuery;
+  const langLink = l => (day ? `/brief/${day}?hours=${hours}` : `/?hours=${hours}${historical ? `&asOf=${new Date(asOf).toISOString()}` : ''}`) + categoryQuery + compareQuery + (l === DEFAULT_LOCALE ? '' : `&lang=${encodeURIComponent(l)}`);
+  const ogLink = (day ? `/brief/${day}/og.png?hours=${hours}` : `/og.png?hours=${hours}${historical ? `&asOf=${new Date(asOf).toISOString()}` : ''}`) + categoryQuery;
+  const rangeStart = asOf + 1 - hours * HOUR;
+  const rangeText = `${new Date(rangeStart).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: TIME_ZONE })} – ${now.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: TIME_ZONE })} ${TIME_ZONE_LABEL}`;
+  
+  // Unfiltered briefs split the leaderboard into sections; a ?category= filter shows just that
+  const sections = categories
+    ? [{ title: 'Top Tickers', tickers, momentum, ranks: comparison?.tickers }]
+    : Object.entries(brief.sections).map(([name, section]) => ({ ...section, ranks: comparison?.sections[name] }));
+  const series = loadBriefSeries(brief, sections);
+  const voices = getAuthorStats(store, { from: rangeStart, to: asOf + 1, limit: 5, tickers: 3 });
 
-  res.send(`<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>CT Daily Brief — ${dateStr}</title>
-<meta name="description" content="Daily Crypto Twitter intelligence brief. Regime: ${regime.label}. Fear: ${fear.level}. Powered by ${allScans.length}+ autonomous scans.">
+  res.send(renderPage({
+    title: `CT Daily Brief — ${dateStr}`,
+    accent: regime.color,
+    fear: thin ? NO_DATA_REGIME.color : fear.color,
+    styles: CHART_STYLES,
+    meta: `<meta name="description" content="Daily Crypto Twitter intelligence brief. Regime: ${regime.label}.${thin ? '' : ` Fear: ${fear.level}.`} Powered by ${brief.archiveSize}+ autonomous scans.">
 <meta property="og:title" content="CT Daily Brief — ${regime.emoji} ${regime.label}">
-<meta property="og:description" content="${narrative.slice(0, 200)}">
-<style>
-  @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap');
-  
-  * { margin: 0; padding: 0; box-sizing: border-box; }
+<meta property="og:description" content="${escapeHtml((thin ? thinNote : narrative).slice(0, 200))}">
+<meta property="og:image" content="${escapeHtml(baseUrl(req) + ogLink)}">
+<meta property="og:image:width" content="${OG_WIDTH}">
+<meta property="og:image:height" content="${OG_HEIGHT}">
+<meta name="twitter:card" content="summary_large_image">
+<link rel="alternate" type="application/atom+xml" title="CT Daily Brief" href="/feed.xml">
+<link rel="alternate" type="application/rss+xml" title="CT Daily Brief" href="/rss.xml">`,
+    body: `
+  <header>
+    <div class="masthead">CT Daily Brief</div>
+    <div class="date">${dateStr}</div>
+    <div class="time">${historical ? 'As of' : 'Generated at'} ${timeStr} ${TIME_ZONE_LABEL}</div>
+    <div class="scan-count">${scans.length} scans analyzed · ${brief.archiveSize} total in archive</div>
+    <div class="scan-count">${rangeText}${comparison ? ` · compared with the previous ${+hours.toFixed(2)}h (${comparison.previous.scanCount} scans)` : ''}</div>
+  </header>
   
-  :root {
-    --bg: #0a0a0f;
-    --surface: #12121a;
-    --surface2: #1a1a25;
-    --border: #2a2a3a;
-    --text: #e4e4ed;
-    --text2: #8888a0;
-    --accent: ${regime.color};
-    --fear: ${fear.color};
-  }
+  <div class="time-controls">
+    <a href="${windowLink(8)}" class="time-btn ${hours === 8 ? 'active' : ''}">8h</a>
+    <a href="${windowLink(24)}" class="time-btn ${hours === 24 ? 'active' : ''}">24h</a>
+    <a href="${windowLink(48)}" class="time-btn ${hours === 48 ? 'active' : ''}">48h</a>
+    <a href="${windowLink(168)}" class="time-btn ${hours === 168 ? 'active' : ''}">7d</a>
+    ${day ? `<a href="/brief/${shiftDay(day, -1)}?hours=${hours}${langQuery}" class="time-btn">← ${shiftDay(day, -1)}</a>
+    <a href="/brief/${shiftDay(day, 1)}?hours=${hours}${langQuery}" class="time-btn">${shiftDay(day, 1)} →</a>` : `<a href="/brief/${formatDay(asOf)}${lang === DEFAULT_LOCALE ? '' : `?lang=${encodeURIComponent(lang)}`}" class="time-btn">Permalink</a>`}
+    ${NARRATIVE_LOCALES.map(l => `<a href="${langLink(l)}" class="time-btn ${l === lang ? 'active' : ''}" hreflang="${escapeHtml(l)}">${escapeHtml(l.toUpperCase())}</a>`).join('\n    ')}
+  </div>
+  <form class="range-form" action="/" method="get">
+    <input type="date" name="from" value="${formatDay(rangeStart)}" aria-label="From">
+    <span>→</span>
+    <input type="date" name="to" value="${formatDay(asOf)}" aria-label="To (inclusive)">
+    ${categories ? `<input type="hidden" name="category" value="${escapeHtml(categories.join(','))}">` : ''}
+    ${lang === DEFAULT_LOCALE ? '' : `<input type="hidden" name="lang" value="${escapeHtml(lang)}">`}
+    <label><input type="checkbox" name="compare" value="prev"${compare ? ' checked' : ''}> vs previous</label>
+    <button type="submit" class="time-btn">Apply</button>
+  </form>
   
-  body {
-    font-family: 'Inter', -apple-system, sans-serif;
-    background: var(--bg);
-    color: var(--text);
-    line-height: 1.6;
-    min-height: 100vh;
-  }
+  <!-- Regime -->
+  <div class="regime-banner">
+    <div class="regime-label">${regime.emoji} ${regime.label}</div>
+    ${thin ? '' : `<div class="regime-stats">
+      <div class="stat">
+        <div class="stat-value" style="color: #4ade80">${sentiment.bull}%</div>
+        <div class="stat-label">Bullish</div>
+        ${renderDelta(comparison?.sentiment.bull, { unit: '%' })}
+      </div>
+      <div class="stat">
+        <div class="stat-value" style="color: #ef4444">${sentiment.bear}%</div>
+        <div class="stat-label">Bearish</div>
+        ${renderDelta(comparison?.sentiment.bear, { unit: '%', goodWhenUp: false })}
+      </div>
+      <div class="stat">
+        <div class="stat-value">${sentiment.ratio}</div>
+        <div class="stat-label">Ratio</div>
+        ${renderDelta(comparison?.sentiment.ratio)}
+      </div>
+      <div class="stat">
+        <div class="stat-value">${sentiment.trend === 'RISING' ? '↑' : sentiment.trend === 'DECLINING' ? '↓' : '→'}</div>
+        <div class="stat-label">${sentiment.trend}</div>
+      </div>
+    </div>`}
+    ${thin ? `<div class="regime-note">${thinNote}</div>` : ''}
+    ${comparison ? `<div class="regime-note">${comparison.regime.changed ? `Was ${comparison.regime.previous} in the previous window` : 'Unchanged from the previous window'}</div>` : ''}
+    ${!thin && sentiment.interval ? `<div class="regime-note">${sentiment.tweets.toLocaleString()} tweets · 95% CI bull ${sentiment.interval.bull.join('–')}% · bear ${sentiment.interval.bear.join('–')}%</div>` : ''}
+  </div>
+  ${series.hasData ? `
+  <div class="chart-legend"><span style="color: #4ade80">━ bullish</span><span style="color: #ef4444">━ bearish</span><span>shading: regime per ${series.window.bucket}</span></div>
+  ${sentimentChart(series.window.points)}` : ''}
   
-  .container {
-    max-width: 680px;
-    margin: 0 auto;
-    padding: 40px 24px 80px;
-  }
+  <!-- Narrative -->
+  ${thin ? '' : `<p class="narrative" lang="${escapeHtml(lang)}">${escapeHtml(narrative)}</p>`}
   
-  header {
-    margin-bottom: 48px;
-    border-bottom: 1px solid var(--border);
-    padding-bottom: 32px;
-  }
+  <!-- Fear Gauge -->
+  <div class="section">
+    <div class="section-title">Fear Gauge</div>
+    <div class="fear-gauge">
+      ${thin ? `<div class="fear-level">${NO_DATA_REGIME.emoji} ${NO_DATA_REGIME.label}</div>` : `<div class="fear-level">${fear.emoji} ${fear.level} · ${fear.score}</div>
+      ${comparison ? renderDelta({ ...comparison.fear.score, previous: `${comparison.fear.level.previous} ${comparison.fear.score.previous}` }, { goodWhenUp: false }) : ''}
+      <div class="commodity-row fear-components">
+        ${Object.entries(fear.components).map(([name, c]) => `<span class="commodity"><strong>${name}</strong> ${c.per100}/100 tweets</span>`).join('\n        ')}
+      </div>`}
+      <div class="commodity-row">
+        ${commodities.slice(0, 6).map(c => `<span class="commodity"><strong>${c.name}</strong> ${c.mentions}</span>`).join('\n        ')}
+      </div>
+    </div>
+    ${series.hasData ? fearChart(series.window.points) : ''}
+  </div>
   
-  .masthead {
-    font-size: 11px;
-    font-weight: 500;
-    letter-spacing: 2px;
-    text-transform: uppercase;
-    color: var(--text2);
-    margin-bottom: 8px;
-  }
+  <!-- Tickers & Momentum -->
+  ${sections.map(section => `
+  <div class="section">
+    <div class="section-title">${escapeHtml(section.title)}</div>
+    ${section.tickers.length > 0 ? renderTickerGrid(section.tickers, series.window, section.ranks) : '<div class="commodity">No mentions in this window</div>'}
+  </div>
+  ${section.momentum.length > 0 ? `
+  <div class="section">
+    <div class="section-title">${escapeHtml(section.title)} · Momentum</div>
+    ${renderMomentumList(section.momentum, 5, series.momentum)}
+  </div>` : ''}`).join('')}
   
-  .date {
-    font-size: 28px;
-    font-weight: 700;
-    margin-bottom: 4px;
-  }
+  ${comparison ? `
+  <!-- Engagement vs previous window -->
+  <div class="section">
+    <div class="section-title">Engagement</div>
+    <div class="regime-stats">
+      ${[['posts', 'Posts'], ['likes', 'Likes'], ['retweets', 'Retweets'], ['likesPerPost', 'Likes / Post']].map(([key, label]) => `
+      <div class="stat">
+        <div class="stat-value">${comparison.engagement[key].current.toLocaleString()}</div>
+        <div class="stat-label">${label}</div>
+        ${renderDelta(comparison.engagement[key])}
+      </div>`).join('')}
+    </div>
+  </div>` : ''}
   
-  .time {
-    font-size: 14px;
-    color: var(--text2);
-  }
+  <!-- High Engagement -->
+  ${highEngagement.length > 0 ? `
+  <div class="section">
+    <div class="section-title">Highest Engagement</div>
+    ${highEngagement.map(p => `
+    <div class="post">
+      <div class="post-header">
+        ${authorLink(p.author)}
+        <span class="post-likes">❤️ ${(p.likes || 0).toLocaleString()}</span>
+      </div>
+      <div class="post-text">${escapeHtml(p.text || '')}</div>
+      ${p.retweetedBy.length ? `<div class="post-retweets">Retweeted by ${p.retweetedBy.map(a => `@${escapeHtml(a)}`).join(', ')}</div>` : ''}
+      ${p.url ? `<a href="${escapeHtml(p.url)}" target="_blank" rel="noopener">View →</a>` : ''}
+    </div>`).join('')}
+  </div>` : ''}
   
-  .scan-count {
-    font-size: 12px;
-    color: var(--text2);
-    margin-top: 4px;
-    font-family: 'JetBrains Mono', monospace;
-  }
+  <!-- Top Voices -->
+  ${voices.length > 0 ? `
+  <div class="section">
+    <div class="section-title">Top Voices</div>
+    <div class="momentum-list">
+      ${voices.map(a => `
+      <div class="momentum-item">
+        <a class="momentum-ticker author-link" href="/authors/${encodeURIComponent(a.handle)}">@${escapeHtml(a.handle)}</a>
+        <span class="commodity">${a.tickers.map(t => '$' + escapeHtml(t.symbol)).join(' ')}${a.earlyCalls ? ` · ${a.earlyCalls} early` : ''} · <strong>${a.engagement.toLocaleString()}</strong> engagement</span>
+      </div>`).join('')}
+    </div>
+  </div>` : ''}
   
-  /* Regime Banner */
-  .regime-banner {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-left: 4px solid var(--accent);
-    border-radius: 8px;
-    padding: 24px;
-    margin-bottom: 32px;
-  }
+  <!-- API -->
+  <div class="section">
+    <div class="section-title">API</div>
+    <div style="background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px 20px;">
+      <div style="font-family: 'JetBrains Mono', monospace; font-size: 13px; color: var(--text2); line-height: 2;">
+        ${apiOperations.filter(op => !op.security?.some(s => s.adminToken)).map(op => `<div><span style="color: var(--accent)">${op.method}</span> ${escapeHtml(op.path)}</div>`).join('')}
+        <div><span style="color: var(--accent)">GET</span> /backtest</div>
+        <div><span style="color: var(--accent)">GET</span> /brief/YYYY-MM-DD</div>
+        <div><span style="color: var(--accent)">GET</span> /og.png · /brief/YYYY-MM-DD/og.png</div>
+        <div><span style="color: var(--accent)">GET</span> /feed.xml · /rss.xml</div>
+        <div><span style="color: var(--accent)">GET</span> /digest?format=text</div>
+        <div style="margin-top: 8px">All routes accept <span style="color: var(--text)">?asOf=</span> (ISO or epoch ms), <span style="color: var(--text)">?hours=</span> or <span style="color: var(--text)">?from=&amp;to=</span> (ISO, epoch ms or YYYY-MM-DD)</div>
+        <div><span style="color: var(--text)">?compare=prev</span> on / and /api/brief adds the previous window</div>
+        <div>Parameters, error codes and admin routes: <a href="/docs">/docs</a> · <a href="/api/openapi.json">openapi.json</a></div>
+      </div>
+    </div>
+  </div>
   
-  .regime-label {
-    font-size: 13px;
-    font-weight: 600;
-    letter-spacing: 1.5px;
-    text-transform: uppercase;
-    color: var(--accent);
-    margin-bottom: 12px;
+  <footer>
+    <div class="footer-text">
+      Autonomous intelligence from ${brief.archiveSize}+ CT scans across ${Math.ceil((asOf - (brief.firstScan || asOf)) / 86400000)} days<br>
+      Built by <a href="https://phil-portfolio-production.up.railway.app">Phil</a> · Data collected by <a href="https://github.com/philworkhorse">ct-scanner</a><br>
+      Not financial advice. An AI agent watching markets and sharing what it sees.
+    </div>
+  </footer>
+  ${series.hasData ? CHART_SCRIPT : ''}
+  `
+  }));
+}
+
+app.get('/', (req, res) => {
+  sendBriefPage(req, res, { hours: req.hours ?? 24, asOf: req.asOf, categories: req.categories, compare: req.compare, lang: req.lang });
+});
+
+// Permalink: the brief as it stood at the end of that day (ET)
+app.get('/brief/:date', (req, res) => {
+  const day = req.params.date;
+  const end = DAY_PATTERN.test(day) ? endOfDay(day) : NaN;
+  if (Number.isNaN(end)) return res.status(404).send('Unknown date: expected /brief/YYYY-MM-DD');
+  sendBriefPage(req, res, { hours: req.hours ?? 24, asOf: end - 1, day, categories: req.categories, compare: req.compare, lang: req.lang });
+});
+
+// Social preview card for a brief window. Cached per window: the key is the
+// window's scans, so the live card only re-renders when a scan lands, and
+// the cache is dropped on every ingest or registry edit.
+const OG_CACHE_SIZE = 200;
+const ogCache = new Map();
+store.onChange(() => ogCache.clear());
+
+function sendOgImage(res, { hours, asOf, categories }) {
+  const scans = loadScans(hours, asOf);
+  const date = new Date(Math.min(asOf, Date.now())).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: TIME_ZONE });
+  const subtitle = `${date} · ${+hours.toFixed(2)}H`;
+  const key = [hours, categories ? categories.join(',') : '', scans.length, scans[0]?.ts, scans[scans.length - 1]?.ts, subtitle].join('|');
+
+  let png = ogCache.get(key);
+  if (!png) {
+    const sentiment = analyzeSentiment(scans);
+    const tickers = getTopTickers(hours, asOf, 5, categories);
+    png = windowStatus(scans) === 'ok'
+      ? renderCard({ subtitle, regime: getRegimeLabel(sentiment), sentiment, fear: getFearLevel(scans), tickers })
+      : renderCard({ subtitle, regime: NO_DATA_REGIME, sentiment: null, fear: null, tickers, note: `ONLY ${scans.length} SCAN${scans.length === 1 ? '' : 'S'} IN THIS WINDOW` });
+    if (ogCache.size >= OG_CACHE_SIZE) ogCache.delete(ogCache.keys().next().value);
+    ogCache.set(key, png);
   }
-  
-  .regime-stats {
+  res.set('Cache-Control', `public, max-age=${MAX_AGE_SECONDS}`).type('png').send(png);
+}
+
+app.get('/og.png', (req, res) => {
+  sendOgImage(res, { hours: req.hours ?? 24, asOf: req.asOf, categories: req.categories });
+});
+
+app.get('/brief/:date/og.png', (req, res) => {
+  const day = req.params.date;
+  const end = DAY_PATTERN.test(day) ? endOfDay(day) : NaN;
+  if (Number.isNaN(end)) return res.status(404).send('Unknown date: expected /brief/YYYY-MM-DD/og.png');
+  sendOgImage(res, { hours: req.hours ?? 24, asOf: end - 1, categories: req.categories });
+});
+
+// Window stamps (see notModified) for the ticker and author routes, which
+// read the archive directly rather than through a cached brief
+function profileStamps(req) {
+  return [windowStamp([req.asOf + 1, req.hours ? req.asOf - req.hours * HOUR : -Infinity])];
+}
+
+function archiveStamps(req) {
+  const { from, to } = archiveWindow(req);
+  return [windowStamp([to, from])];
+}
+
+// Ticker deep dive. Covers the whole archive up to asOf unless ?hours= is given.
+// Aliases land on their canonical ticker ($XBT -> $BTC)
+function loadTickerProfile(req) {
+  const from = req.hours ? req.asOf - req.hours * HOUR : -Infinity;
+  const profile = getTickerProfile(store, registry.canonical(req.params.symbol), { from, to: req.asOf + 1 });
+  return profile && { ...profile, meta: registry.describe(profile.symbol) };
+}
+
+app.get('/ticker/:symbol', (req, res) => {
+  if (notModified(req, res, profileStamps(req))) return;
+  const profile = loadTickerProfile(req);
+  if (!profile) return res.status(404).send(`No mentions of $${escapeHtml(req.params.symbol)} in the archive`);
+  
+  const { sentiment } = profile;
+  const accent = sentiment.bullish > sentiment.bearish ? '#4ade80' : sentiment.bearish > sentiment.bullish ? '#ef4444' : '#94a3b8';
+  const peak = Math.max(...profile.series.map(d => d.mentions), 1);
+  
+  res.send(renderPage({
+    title: `$${profile.symbol} — CT Daily Brief`,
+    accent,
+    meta: `<meta name="description" content="$${escapeHtml(profile.symbol)} on Crypto Twitter: ${profile.mentions} mentions across ${profile.scansWithMentions} scans.">`,
+    styles: `
+  .series-row {
     display: grid;
-    grid-template-columns: repeat(4, 1fr);
-    gap: 16px;
-  }
-  
-  .stat {
-    text-align: center;
-  }
-  
-  .stat-value {
-    font-size: 22px;
-    font-weight: 700;
+    grid-template-columns: 90px 1fr 40px;
+    gap: 12px;
+    align-items: center;
     font-family: 'JetBrains Mono', monospace;
-  }
-  
-  .stat-label {
-    font-size: 11px;
+    font-size: 12px;
     color: var(--text2);
-    text-transform: uppercase;
-    letter-spacing: 0.5px;
-    margin-top: 4px;
-  }
-  
-  /* Narrative */
-  .narrative {
-    font-size: 16px;
-    line-height: 1.7;
-    color: var(--text);
-    margin-bottom: 40px;
-    padding: 0 4px;
-  }
-  
-  /* Sections */
-  .section {
-    margin-bottom: 40px;
-  }
-  
-  .section-title {
-    font-size: 12px;
-    font-weight: 600;
-    letter-spacing: 2px;
-    text-transform: uppercase;
-    color: var(--text2);
-    margin-bottom: 16px;
-    padding-bottom: 8px;
-    border-bottom: 1px solid var(--border);
-  }
-  
-  /* Tickers */
-  .ticker-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
-    gap: 8px;
-  }
-  
-  .ticker {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 6px;
-    padding: 12px;
-    text-align: center;
-    transition: border-color 0.2s;
-  }
-  
-  .ticker:hover {
-    border-color: var(--accent);
-  }
-  
-  .ticker-name {
-    font-family: 'JetBrains Mono', monospace;
-    font-weight: 600;
-    font-size: 14px;
-    color: var(--accent);
-  }
-  
-  .ticker-count {
-    font-size: 12px;
-    color: var(--text2);
-    margin-top: 4px;
-  }
-  
-  /* Momentum */
-  .momentum-list {
-    display: flex;
-    flex-direction: column;
-    gap: 8px;
-  }
-  
-  .momentum-item {
-    display: flex;
-    align-items: center;
-    justify-content: space-between;
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 6px;
-    padding: 12px 16px;
-  }
-  
-  .momentum-ticker {
-    font-family: 'JetBrains Mono', monospace;
-    font-weight: 600;
-    font-size: 14px;
-  }
-  
-  .momentum-change {
-    font-family: 'JetBrains Mono', monospace;
-    font-weight: 600;
-    font-size: 14px;
-  }
-  
-  .momentum-change.up { color: #4ade80; }
-  .momentum-change.down { color: #ef4444; }
-  .momentum-change.new { color: #818cf8; }
-  
-  .momentum-bar {
-    height: 3px;
-    border-radius: 2px;
-    margin-top: 4px;
-  }
-  
-  /* Fear Gauge */
-  .fear-gauge {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-left: 4px solid var(--fear);
-    border-radius: 8px;
-    padding: 20px 24px;
-    margin-bottom: 12px;
+    margin-bottom: 4px;
   }
+  .series-bar { height: 8px; border-radius: 2px; background: var(--accent); min-width: 1px; }
+  .series-count { text-align: right; color: var(--text); }`,
+    body: `
+  <header>
+    <div class="masthead"><a href="/" style="color: inherit; text-decoration: none">CT Daily Brief</a> · Ticker</div>
+    <div class="date">$${escapeHtml(profile.symbol)}</div>
+    <div class="time">${[profile.meta?.name, profile.category || 'uncategorized', profile.meta?.chain].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+    <div class="scan-count">${profile.scansWithMentions} of ${profile.totalScans} scans · first seen ${profile.firstSeen.slice(0, 10)} · last seen ${profile.lastSeen.slice(0, 10)}</div>
+  </header>
   
-  .fear-level {
-    font-size: 13px;
-    font-weight: 600;
-    letter-spacing: 1px;
-    text-transform: uppercase;
-    color: var(--fear);
-    margin-bottom: 8px;
-  }
+  <div class="regime-banner">
+    <div class="regime-label">Ticker sentiment</div>
+    <div class="regime-stats">
+      <div class="stat">
+        <div class="stat-value">${profile.mentions}</div>
+        <div class="stat-label">Mentions</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value" style="color: #4ade80">${sentiment.bull}%</div>
+        <div class="stat-label">Bullish</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value" style="color: #ef4444">${sentiment.bear}%</div>
+        <div class="stat-label">Bearish</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value">${sentiment.total}</div>
+        <div class="stat-label">Tweets</div>
+      </div>
+    </div>
+  </div>
   
-  .commodity-row {
-    display: flex;
-    gap: 16px;
-    flex-wrap: wrap;
-  }
+  <div class="section">
+    <div class="section-title">Mentions by Day</div>
+    ${profile.series.map(d => `
+    <div class="series-row">
+      <span>${d.day}</span>
+      <div class="series-bar" style="width: ${(d.mentions / peak * 100).toFixed(1)}%"></div>
+      <span class="series-count"${d.rawMentions !== d.mentions ? ` title="${d.rawMentions} mentions before removing retweets and repeats"` : ''}>${d.mentions}</span>
+    </div>`).join('')}
+  </div>
   
-  .commodity {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 13px;
-    color: var(--text2);
-  }
+  ${profile.authors.length > 0 ? `
+  <div class="section">
+    <div class="section-title">Top Authors</div>
+    <div class="momentum-list">
+      ${profile.authors.map(a => `
+      <div class="momentum-item">
+        <a class="momentum-ticker author-link" href="/authors/${encodeURIComponent(a.author)}">@${escapeHtml(a.author)}</a>
+        <span class="commodity"><strong>${a.tweets}</strong> tweets · ❤️ ${a.likes.toLocaleString()}</span>
+      </div>`).join('')}
+    </div>
+  </div>` : ''}
   
-  .commodity strong {
-    color: var(--text);
-  }
+  ${profile.topPosts.length > 0 ? `
+  <div class="section">
+    <div class="section-title">Highest Engagement</div>
+    ${profile.topPosts.map(p => `
+    <div class="post">
+      <div class="post-header">
+        ${authorLink(p.author)}
+        <span class="post-likes">❤️ ${p.likes.toLocaleString()} · 🔁 ${p.retweets.toLocaleString()}</span>
+      </div>
+      <div class="post-text">${escapeHtml(p.text.slice(0, 280))}</div>
+      ${p.url ? `<a href="${escapeHtml(p.url)}" target="_blank" rel="noopener">View →</a>` : ''}
+    </div>`).join('')}
+  </div>` : ''}
   
-  /* High Engagement */
-  .post {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 8px;
-    padding: 16px 20px;
-    margin-bottom: 8px;
-    transition: border-color 0.2s;
+  <footer>
+    <div class="footer-text">
+      <a href="/">← Back to the brief</a> · <a href="/api/tickers/${encodeURIComponent(profile.symbol)}">JSON</a><br>
+      Not financial advice. An AI agent watching markets and sharing what it sees.
+    </div>
+  </footer>
+`
+  }));
+});
+
+function baseUrl(req) {
+  return config.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+// Feeds carry one entry per ET day: the 24h brief as of that day's close,
+// or as of now for today. Days with too few scans (status insufficientData) are skipped.
+// ?days= (1 to 90, checked against the document) of briefs, newest first
+function feedBriefs(req) {
+  const days = req.query.days === undefined ? 14 : Number(req.query.days);
+  const briefs = [];
+  for (let i = 0, day = formatDay(req.asOf); i < days; i++, day = shiftDay(day, -1)) {
+    briefs.push({ day, brief: loadBrief({ hours: 24, asOf: Math.min(endOfDay(day) - 1, req.asOf), lang: req.lang }) });
   }
-  
-  .post:hover {
-    border-color: var(--text2);
+  return briefs;
+}
+
+function feedEntries(req, briefs) {
+  const base = baseUrl(req);
+  const entries = [];
+  for (const { day, brief } of briefs) {
+    if (brief.status !== 'ok') continue;
+    const url = `${base}/brief/${day}`;
+    entries.push({
+      id: url,
+      url,
+      title: `${formatDate(brief.asOf)}: ${brief.regime.emoji} ${brief.regime.label}`,
+      updated: brief.scans[brief.scans.length - 1].ts,
+      summary: brief.narrative,
+      html: summaryHtml(brief)
+    });
   }
-  
-  .post-header {
-    display: flex;
-    justify-content: space-between;
+  return entries;
+}
+
+// Author analytics, backtests and exports. Like the ticker pages these cover
+// the whole archive up to asOf unless ?hours= or ?from= narrows the window.
+function archiveWindow(req) {
+  return { from: req.hours ? req.asOf + 1 - req.hours * HOUR : -Infinity, to: req.asOf + 1 };
+}
+
+function loadAuthorProfile(req) {
+  return getAuthorProfile(store, req.params.handle, archiveWindow(req));
+}
+
+app.get('/authors/:handle', (req, res) => {
+  if (notModified(req, res, archiveStamps(req))) return;
+  const profile = loadAuthorProfile(req);
+  if (!profile) return res.status(404).send(`No posts by @${escapeHtml(req.params.handle.replace(/^@/, ''))} in the archive`);
+  const peak = Math.max(...profile.tickers.map(t => t.posts), 1);
+
+  res.send(renderPage({
+    title: `@${profile.handle} — CT Daily Brief`,
+    meta: `<meta name="description" content="@${escapeHtml(profile.handle)} on Crypto Twitter: ${profile.posts} posts, ${profile.engagement.toLocaleString()} likes + retweets, ${profile.earlyCalls} early calls.">`,
+    styles: `
+  .series-row {
+    display: grid;
+    grid-template-columns: 90px 1fr 40px;
+    gap: 12px;
     align-items: center;
-    margin-bottom: 8px;
-  }
-  
-  .post-author {
-    font-weight: 600;
-    font-size: 14px;
-  }
-  
-  .post-likes {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 13px;
-    color: #ef4444;
-  }
-  
-  .post-text {
-    font-size: 14px;
-    color: var(--text2);
-    line-height: 1.5;
-  }
-  
-  .post a {
-    color: var(--accent);
-    text-decoration: none;
-    font-size: 12px;
-    opacity: 0.7;
-  }
-  
-  .post a:hover { opacity: 1; }
-  
-  /* Time Controls */
-  .time-controls {
-    display: flex;
-    gap: 8px;
-    margin-bottom: 32px;
-  }
-  
-  .time-btn {
-    padding: 6px 14px;
-    font-size: 12px;
     font-family: 'JetBrains Mono', monospace;
-    background: var(--surface);
-    border: 1px solid var(--border);
-    color: var(--text2);
-    border-radius: 4px;
-    cursor: pointer;
-    text-decoration: none;
-    transition: all 0.2s;
-  }
-  
-  .time-btn:hover, .time-btn.active {
-    border-color: var(--accent);
-    color: var(--accent);
-  }
-  
-  /* Footer */
-  footer {
-    margin-top: 60px;
-    padding-top: 24px;
-    border-top: 1px solid var(--border);
-    text-align: center;
-  }
-  
-  .footer-text {
     font-size: 12px;
     color: var(--text2);
-    line-height: 1.8;
-  }
-  
-  .footer-text a {
-    color: var(--text2);
-    text-decoration: none;
-    border-bottom: 1px solid var(--border);
-  }
-  
-  .footer-text a:hover {
-    color: var(--text);
+    margin-bottom: 4px;
   }
-  
-  /* Responsive */
-  @media (max-width: 600px) {
-    .container { padding: 24px 16px 60px; }
-    .date { font-size: 22px; }
-    .regime-stats { grid-template-columns: repeat(2, 1fr); }
-    .ticker-grid { grid-template-columns: repeat(3, 1fr); }
-  }
-</style>
-</head>
-<body>
-<div class="container">
-  
+  .series-row a { color: var(--text); text-decoration: none; }
+  .series-bar { height: 8px; border-radius: 2px; background: var(--accent); min-width: 1px; }
+  .series-count { text-align: right; color: var(--text); }`,
+    body: `
   <header>
-    <div class="masthead">CT Daily Brief</div>
-    <div class="date">${dateStr}</div>
-    <div class="time">Generated at ${timeStr} EST</div>
-    <div class="scan-count">${scans.length} scans analyzed · ${allScans.length} total in archive</div>
+    <div class="masthead"><a href="/" style="color: inherit; text-decoration: none">CT Daily Brief</a> · Author</div>
+    <div class="date">@${escapeHtml(profile.handle)}</div>
+    <div class="scan-count">First seen ${profile.firstSeen.slice(0, 10)} · last seen ${profile.lastSeen.slice(0, 10)}</div>
   </header>
   
-  <div class="time-controls">
-    <a href="/?hours=8" class="time-btn ${hours === 8 ? 'active' : ''}">8h</a>
-    <a href="/?hours=24" class="time-btn ${hours === 24 ? 'active' : ''}">24h</a>
-    <a href="/?hours=48" class="time-btn ${hours === 48 ? 'active' : ''}">48h</a>
-    <a href="/?hours=168" class="time-btn ${hours === 168 ? 'active' : ''}">7d</a>
-  </div>
-  
-  <!-- Regime -->
   <div class="regime-banner">
-    <div class="regime-label">${regime.emoji} ${regime.label}</div>
+    <div class="regime-label">Reach</div>
     <div class="regime-stats">
       <div class="stat">
-        <div class="stat-value" style="color: #4ade80">${sentiment.bull}%</div>
-        <div class="stat-label">Bullish</div>
+        <div class="stat-value">${profile.posts}</div>
+        <div class="stat-label">Posts</div>
       </div>
       <div class="stat">
-        <div class="stat-value" style="color: #ef4444">${sentiment.bear}%</div>
-        <div class="stat-label">Bearish</div>
+        <div class="stat-value">${profile.likes.toLocaleString()}</div>
+        <div class="stat-label">Likes</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${sentiment.ratio}</div>
-        <div class="stat-label">Ratio</div>
+        <div class="stat-value">${profile.mentions}</div>
+        <div class="stat-label">Ticker mentions</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${sentiment.trend === 'RISING' ? '↑' : sentiment.trend === 'DECLINING' ? '↓' : '→'}</div>
-        <div class="stat-label">${sentiment.trend}</div>
+        <div class="stat-value">${profile.earlyCalls}</div>
+        <div class="stat-label">Early calls</div>
       </div>
     </div>
   </div>
   
-  <!-- Narrative -->
-  <p class="narrative">${narrative}</p>
-  
-  <!-- Fear Gauge -->
+  ${profile.tickers.length > 0 ? `
   <div class="section">
-    <div class="section-title">Fear Gauge</div>
-    <div class="fear-gauge">
-      <div class="fear-level">${fear.emoji} ${fear.level}</div>
-      <div class="commodity-row">
-        ${commodities.slice(0, 6).map(c => `<span class="commodity"><strong>${c.name}</strong> ${c.mentions}</span>`).join('\n        ')}
-      </div>
-    </div>
-  </div>
-  
-  <!-- Top Tickers -->
-  <div class="section">
-    <div class="section-title">Top Tickers</div>
-    <div class="ticker-grid">
-      ${tickers.map(t => `
-      <div class="ticker">
-        <div class="ticker-name">$${t.name}</div>
-        <div class="ticker-count">${t.mentions} mentions</div>
-      </div>`).join('')}
-    </div>
-  </div>
-  
-  <!-- Momentum -->
-  ${momentum.length > 0 ? `
-  <div class="section">
-    <div class="section-title">Momentum Shifts</div>
-    <div class="momentum-list">
-      ${rising.slice(0, 5).map(m => `
-      <div class="momentum-item">
-        <span class="momentum-ticker">$${m.ticker}</span>
-        <span class="momentum-change ${m.direction}">${m.direction === 'new' ? '🆕 NEW' : `+${m.change}%`}</span>
-      </div>`).join('')}
-      ${falling.slice(0, 5).map(m => `
-      <div class="momentum-item">
-        <span class="momentum-ticker">$${m.ticker}</span>
-        <span class="momentum-change down">${m.change}%</span>
-      </div>`).join('')}
-    </div>
+    <div class="section-title">Tickers Pushed</div>
+    ${profile.tickers.slice(0, 15).map(t => `
+    <div class="series-row">
+      <a href="/ticker/${encodeURIComponent(t.symbol)}">$${escapeHtml(t.symbol)}</a>
+      <div class="series-bar" style="width: ${(t.posts / peak * 100).toFixed(1)}%"></div>
+      <span class="series-count">${t.posts}</span>
+    </div>`).join('')}
   </div>` : ''}
   
-  <!-- High Engagement -->
-  ${highEngagement.length > 0 ? `
+  ${profile.calls.length > 0 ? `
   <div class="section">
-    <div class="section-title">Highest Engagement</div>
-    ${highEngagement.map(p => `
+    <div class="section-title">Early Calls</div>
+    ${profile.calls.map(c => `
     <div class="post">
       <div class="post-header">
-        <span class="post-author">@${p.author || 'unknown'}</span>
-        <span class="post-likes">❤️ ${(p.likes || 0).toLocaleString()}</span>
+        <a class="post-author author-link" href="/ticker/${encodeURIComponent(c.ticker)}">$${escapeHtml(c.ticker)}</a>
+        <span class="post-likes">${c.leadHours}h before the ${formatDay(Date.parse(c.spikeAt))} spike</span>
       </div>
-      <div class="post-text">${escapeHtml(p.text || '')}</div>
-      ${p.url ? `<a href="${p.url}" target="_blank" rel="noopener">View →</a>` : ''}
+      <div class="post-text">${escapeHtml(c.text)}</div>
+      ${c.url ? `<a href="${escapeHtml(c.url)}" target="_blank" rel="noopener">View →</a>` : ''}
     </div>`).join('')}
   </div>` : ''}
   
-  <!-- API -->
   <div class="section">
-    <div class="section-title">API</div>
-    <div style="background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px 20px;">
-      <div style="font-family: 'JetBrains Mono', monospace; font-size: 13px; color: var(--text2); line-height: 2;">
-        <div><span style="color: var(--accent)">GET</span> /api/brief</div>
-        <div><span style="color: var(--accent)">GET</span> /api/brief/compact</div>
-        <div><span style="color: var(--accent)">GET</span> /api/tickers?hours=24</div>
-        <div><span style="color: var(--accent)">GET</span> /api/fear</div>
-        <div><span style="color: var(--accent)">GET</span> /api/momentum</div>
+    <div class="section-title">Highest Engagement</div>
+    ${profile.topPosts.map(p => `
+    <div class="post">
+      <div class="post-header">
+        <span class="post-author">${p.tickers.map(t => '$' + escapeHtml(t)).join(' ') || '—'}</span>
+        <span class="post-likes">❤️ ${p.likes.toLocaleString()} · 🔁 ${p.retweets.toLocaleString()}</span>
       </div>
-    </div>
+      <div class="post-text">${escapeHtml(p.text.slice(0, 280))}</div>
+      ${p.url ? `<a href="${escapeHtml(p.url)}" target="_blank" rel="noopener">View →</a>` : ''}
+    </div>`).join('')}
   </div>
   
   <footer>
     <div class="footer-text">
-      Autonomous intelligence from ${allScans.length}+ CT scans across ${Math.ceil((Date.now() - new Date(allScans[0]?.timestamp || Date.now()).getTime()) / 86400000)} days<br>
-      Built by <a href="https://phil-portfolio-production.up.railway.app">Phil</a> · Data collected by <a href="https://github.com/philworkhorse">ct-scanner</a><br>
+      <a href="/">← Back to the brief</a> · <a href="/api/authors/${encodeURIComponent(profile.handle)}">JSON</a><br>
+      Early calls: mentions in the 72h before a ticker's momentum spike.<br>
       Not financial advice. An AI agent watching markets and sharing what it sees.
     </div>
   </footer>
+  `
+  }));
+});
+
+// Signal backtest over the whole archive up to asOf, or ?hours= / ?from=.
+// ?benchmark=, ?window= and ?step= (hours) and ?horizons=24,72 override
+// config `backtest`. Price files are re-read per run so new history needs
+// no restart. -> { result } or { status, error }
+const MAX_BACKTEST_POINTS = 2000;
+
+function loadBacktest(req) {
+  const options = { ...config.backtest, baselineHours: DEFAULT_BASELINE_HOURS, momentum: { categories: req.categories } };
+  const hours = value => Number(value) > 0 && Number(value) <= MAX_WINDOW_HOURS;
+  if (req.query.benchmark !== undefined) options.benchmark = req.query.benchmark;
+  for (const [param, key] of [['window', 'windowHours'], ['step', 'stepHours']]) {
+    if (req.query[param] === undefined) continue;
+    if (!hours(req.query[param])) return { status: 400, code: 'invalid_parameter', error: `Invalid ${param}: expected hours above 0 and at most ${MAX_WINDOW_HOURS}` };
+    options[key] = Number(req.query[param]);
+  }
+  if (req.query.horizons !== undefined) {
+    const list = String(req.query.horizons).split(',').filter(Boolean);
+    if (!list.length || list.length > 8 || !list.every(hours)) {
+      return { status: 400, code: 'invalid_parameter', error: `Invalid horizons: expected up to 8 comma-separated hours above 0 and at most ${MAX_WINDOW_HOURS}` };
+    }
+    options.horizons = [...new Set(list.map(Number))].sort((a, b) => a - b);
+  }
+  options.benchmark = registry.canonical(options.benchmark);
+  const { from, to } = archiveWindow(req);
+  const first = store.range(from, to)[0];
+  if (first && (to - Math.max(from, first.ts)) / (options.stepHours * HOUR) > MAX_BACKTEST_POINTS) {
+    return { status: 400, code: 'invalid_parameter', error: `Too many replay points: at most ${MAX_BACKTEST_POINTS} (raise step or narrow the range)` };
+  }
+
+  let prices;
+  try {
+    prices = loadPrices(config.files.prices, { canonical: registry.canonical });
+  } catch (e) {
+    return { status: 500, code: 'price_file_error', error: e.message };
+  }
+  if (!prices || !prices.size) {
+    return { status: 404, code: 'no_prices', error: `No price history in ${config.files.prices} (config files.prices: a directory of <TICKER>.csv/.json files or one combined file)` };
+  }
+  return { result: runBacktest(store.range, prices, { from, to, ...options }) };
+}
+
+function formatPct(value, signed = true) {
+  if (value === null || value === undefined) return '—';
+  return `${signed && value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+app.get('/backtest', (req, res) => {
+  const { result, status, error } = loadBacktest(req);
+  if (error) return res.status(status).send(escapeHtml(error));
+  const query = new URLSearchParams(req.query).toString();
+  const cell = stats => `
+        <td>${stats.n}</td>
+        <td>${stats.hitRate === null ? '—' : `${stats.hitRate.toFixed(0)}%`}</td>
+        <td>${formatPct(stats.avgReturn)}</td>
+        <td>${formatPct(stats.avgRange, false)}${stats.vsBaseline?.range ? ` <span class="bt-muted">×${stats.vsBaseline.range.toFixed(2)}</span>` : ''}</td>`;
+  const head = `
+      <tr>
+        <th rowspan="2">Signal</th>
+        ${result.horizons.map(h => `<th colspan="4">+${h}</th>`).join('')}
+      </tr>
+      <tr>${result.horizons.map(() => '<th>n</th><th>Hit</th><th>Avg</th><th>Range</th>').join('')}</tr>`;
+  const table = (title, rows) => rows.length ? `
+  <div class="section">
+    <div class="section-title">${title}</div>
+    <div class="bt-scroll">
+    <table class="bt-table">
+      ${head}
+      ${rows.join('')}
+    </table>
+    </div>
+  </div>` : '';
+  const baselineRow = (label, stats) => `
+      <tr class="bt-baseline">
+        <td>${label}</td>
+        ${result.horizons.map(h => cell(stats[h])).join('')}
+      </tr>`;
+  const signalRow = s => `
+      <tr>
+        <td>${escapeHtml(s.value)}${s.expect ? ` <span class="bt-muted">${s.expect === 'up' ? '↑' : '↓'}</span>` : ''}<div class="bt-muted">${s.occurrences}× ${s.signal === 'momentum' ? s.tickers.slice(0, 3).map(t => '$' + escapeHtml(t.symbol)).join(' ') : ''}</div></td>
+        ${result.horizons.map(h => cell(s.horizons[h])).join('')}
+      </tr>`;
+  const of = type => result.signals.filter(s => s.signal === type).map(signalRow);
+
+  res.send(renderPage({
+    title: 'Backtest — CT Daily Brief',
+    meta: '<meta name="description" content="How the brief\'s regime, fear and momentum signals did against subsequent prices.">',
+    styles: `
+  .bt-scroll { overflow-x: auto; }
+  .bt-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-family: 'JetBrains Mono', monospace;
+    font-size: 12px;
+    color: var(--text);
+  }
+  .bt-table th { color: var(--text2); font-weight: 500; padding: 4px 8px; text-align: right; border-bottom: 1px solid var(--border); }
+  .bt-table td { padding: 6px 8px; text-align: right; border-bottom: 1px solid var(--border); white-space: nowrap; }
+  .bt-table th:first-child, .bt-table td:first-child { text-align: left; }
+  .bt-baseline td { color: var(--text2); }
+  .bt-muted { color: var(--text2); font-size: 11px; }`,
+    body: `
+  <header>
+    <div class="masthead"><a href="/" style="color: inherit; text-decoration: none">CT Daily Brief</a> · Backtest</div>
+    <div class="date">Do the signals call the move?</div>
+    <div class="scan-count">${result.points} replay points${result.from ? ` · ${result.from.slice(0, 10)} to ${result.to.slice(0, 10)}` : ''} · every ${result.stepHours}h over a ${result.windowHours}h window</div>
+  </header>
+  ${table(`Regime · $${escapeHtml(result.benchmark)}`, [baselineRow('All points', result.baseline.benchmark), ...of('regime')])}
+  ${table(`Fear · $${escapeHtml(result.benchmark)}`, [baselineRow('All points', result.baseline.benchmark), ...of('fear')])}
+  ${table('Momentum · each ticker', [baselineRow('All priced tickers', result.baseline.universe), ...of('momentum')])}
   
-</div>
-</body>
-</html>`);
+  <footer>
+    <div class="footer-text">
+      <a href="/">← Back to the brief</a> · <a href="/api/backtest${query ? `?${escapeHtml(query)}` : ''}">JSON</a><br>
+      Prices for ${result.priced.length ? result.priced.map(s => '$' + escapeHtml(s)).join(' ') : 'no tickers'}. Hit: share of moves in the signal's direction (↑/↓). Range: high-low over the horizon, × the all-points average.<br>
+      Horizons longer than the step overlap. Not financial advice.
+    </div>
+  </footer>
+  `
+  }));
 });
 
-function escapeHtml(str) {
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+// API reference, rendered from the OpenAPI document
+function describeSchema(schema = {}) {
+  if (schema.enum) return schema.enum.join(' | ');
+  if (schema.type === 'array') return `${describeSchema(schema.items)}, comma-separated${schema.maxItems ? ` (max ${schema.maxItems})` : ''}`;
+  const bounds = [
+    schema.minimum !== undefined && `≥ ${schema.minimum}`,
+    schema.exclusiveMinimum !== undefined && `> ${schema.exclusiveMinimum}`,
+    schema.maximum !== undefined && `≤ ${schema.maximum}`
+  ].filter(Boolean);
+  return [schema.type || 'any', ...bounds].join(' ') + (schema.default !== undefined ? `, default ${schema.default}` : '');
 }
 
+app.get('/docs', (req, res) => {
+  const codes = apiSpec.components.schemas.Error.properties.code.enum;
+  const operation = op => `
+  <div class="section" id="${escapeHtml(op.operationId)}">
+    <div class="section-title"><span style="color: var(--accent)">${op.method}</span> ${escapeHtml(op.path)}</div>
+    <div class="doc-summary">${escapeHtml(op.summary)}${op.security ? ` <span class="doc-muted">· bearer ${op.security.some(s => s.adminToken) ? 'ADMIN_TOKEN' : 'INGEST_TOKEN'}</span>` : ''}</div>
+    ${op.parameters.length ? `
+    <table class="doc-table">
+      ${op.parameters.map(p => `
+      <tr>
+        <td>${escapeHtml(p.name)}${p.required ? ' <span class="doc-muted">required</span>' : ''}</td>
+        <td class="doc-muted">${p.in}</td>
+        <td>${escapeHtml(describeSchema(p.schema))}${p.description ? `<div class="doc-muted">${escapeHtml(p.description)}</div>` : ''}</td>
+      </tr>`).join('')}
+    </table>` : ''}
+  </div>`;
+
+  res.send(renderPage({
+    title: 'API — CT Daily Brief',
+    meta: '<meta name="description" content="CT Daily Brief API reference.">',
+    styles: `
+  .doc-summary { color: var(--text); font-size: 14px; margin-bottom: 8px; }
+  .doc-table { width: 100%; border-collapse: collapse; font-family: 'JetBrains Mono', monospace; font-size: 12px; color: var(--text); }
+  .doc-table td { padding: 6px 8px 6px 0; border-bottom: 1px solid var(--border); vertical-align: top; }
+  .doc-muted { color: var(--text2); font-size: 11px; }`,
+    body: `
+  <header>
+    <div class="masthead"><a href="/" style="color: inherit; text-decoration: none">CT Daily Brief</a> · API</div>
+    <div class="date">${escapeHtml(apiSpec.info.description)}</div>
+    <div class="scan-count">OpenAPI ${apiSpec.openapi} · <a href="/api/openapi.json">/api/openapi.json</a></div>
+  </header>
+  ${apiOperations.map(operation).join('')}
+  <div class="section">
+    <div class="section-title">Errors</div>
+    <div class="doc-summary">Every error is <code>{ "error", "code" }</code>, plus <code>allowed</code> or <code>details</code> when they help. Windowed responses carry <code>status</code>: <code>insufficientData</code> when the window has fewer than ${config.minScans} scans, with regime, fear and narrative null.</div>
+    <div class="doc-muted">${codes.join(' · ')}</div>
+  </div>
+  
+  <footer>
+    <div class="footer-text">
+      <a href="/">← Back to the brief</a> · <a href="/api/openapi.json">JSON</a>
+    </div>
+  </footer>
+  `
+  }));
+});
+
+app.get('/feed.xml', checkParams, (req, res) => {
+  const briefs = feedBriefs(req);
+  if (notModified(req, res, briefs.map(b => b.brief))) return;
+  const base = baseUrl(req);
+  const newest = Math.max(0, ...briefs.map(({ brief }) => brief.scans[brief.scans.length - 1]?.ts ?? 0));
+  res.type('application/atom+xml; charset=utf-8').send(renderAtom({
+    title: 'CT Daily Brief',
+    siteUrl: `${base}/`,
+    feedUrl: `${base}/feed.xml`,
+    entries: feedEntries(req, briefs),
+    updated: newest || Date.now()
+  }));
+});
+
+app.get('/rss.xml', checkParams, (req, res) => {
+  const briefs = feedBriefs(req);
+  if (notModified(req, res, briefs.map(b => b.brief))) return;
+  const base = baseUrl(req);
+  res.type('application/rss+xml; charset=utf-8').send(renderRss({
+    title: 'CT Daily Brief',
+    description: 'Daily Crypto Twitter intelligence brief',
+    siteUrl: `${base}/`,
+    feedUrl: `${base}/rss.xml`,
+    entries: feedEntries(req, briefs)
+  }));
+});
+
+// Email-ready digest: inline-styled HTML, or ?format=text for plain text
+app.get('/digest', (req, res) => {
+  const brief = loadBrief({ hours: req.hours ?? 24, asOf: req.asOf, categories: req.categories, lang: req.lang });
+  if (notModified(req, res, [brief])) return;
+  const url = `${baseUrl(req)}/brief/${formatDay(req.asOf)}`;
+  if (req.query.format === 'text') return res.type('text/plain; charset=utf-8').send(digestText(brief, { url }));
+  res.send(digestHtml(brief, { url }));
+});
+
 // API Endpoints
 app.get('/api/brief', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  const allScans = loadAllScans();
-  const sentiment = analyzeSentiment(scans);
-  const regime = getRegimeLabel(sentiment.ratio);
-  const tickers = getTopTickers(scans);
-  const commodities = getCommodities(scans);
-  const fear = getFearLevel(commodities, scans.length);
-  const momentum = getMomentum(allScans, scans);
-  
-  res.json({
-    generated: new Date().toISOString(),
-    window: `${hours}h`,
-    scanCount: scans.length,
-    totalScans: allScans.length,
-    regime: { label: regime.label, ...sentiment, fear: fear.level },
-    tickers,
-    commodities,
-    momentum,
-    narrative: generateNarrative(sentiment, regime, fear, tickers, momentum)
-  });
+  const brief = loadBrief({ hours: req.hours ?? 24, asOf: req.asOf, categories: req.categories, lang: req.lang });
+  if (notModified(req, res, req.compare ? [brief, loadBrief(previousWindow(brief))] : [brief])) return;
+  if (req.compare) brief.compare = buildComparison(brief);
+  res.json(briefJson(brief));
 });
 
 app.get('/api/brief/compact', (req, res) => {
-  const scans = loadScans(24);
-  const sentiment = analyzeSentiment(scans);
-  const regime = getRegimeLabel(sentiment.ratio);
-  const tickers = getTopTickers(scans, 5);
-  const commodities = getCommodities(scans);
-  const fear = getFearLevel(commodities, scans.length);
-  
+  const brief = loadBrief({ hours: 24, asOf: req.asOf, categories: req.categories });
+  if (notModified(req, res, [brief])) return;
+  const { scans, sentiment, regime, fear } = brief;
+  const tickers = brief.tickers.slice(0, 5);
+  const ok = brief.status === 'ok';
+
   res.json({
-    regime: regime.label,
-    sentiment: `${sentiment.bull}%↑ ${sentiment.bear}%↓`,
-    ratio: `${sentiment.ratio}:1`,
-    trend: sentiment.trend,
-    fear: fear.level,
+    asOf: new Date(req.asOf).toISOString(),
+    status: brief.status,
+    regime: ok ? regime.label : null,
+    sentiment: ok ? `${sentiment.bull}%↑ ${sentiment.bear}%↓` : null,
+    ratio: ok ? `${sentiment.ratio}:1` : null,
+    trend: ok ? sentiment.trend : null,
+    fear: ok ? fear.level : null,
     topTickers: tickers.map(t => `$${t.name}(${t.mentions})`).join(' '),
     scans: scans.length
   });
 });
 
 app.get('/api/tickers', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  res.json({ window: `${hours}h`, scanCount: scans.length, tickers: getTopTickers(scans, 30) });
+  const hours = req.hours ?? 24;
+  if (notModified(req, res, [windowStamp([req.asOf + 1, req.asOf - hours * HOUR])])) return;
+  const scans = loadScans(hours, req.asOf);
+  res.json({
+    window: `${hours}h`,
+    asOf: new Date(req.asOf).toISOString(),
+    category: req.categories,
+    status: windowStatus(scans),
+    scanCount: scans.length,
+    tickers: getTopTickers(hours, req.asOf, 30, req.categories)
+  });
+});
+
+app.get('/api/tickers/:symbol', (req, res) => {
+  if (notModified(req, res, profileStamps(req))) return;
+  const profile = loadTickerProfile(req);
+  if (!profile) return sendError(res, 404, 'not_found', `No mentions of ${req.params.symbol} in the archive`);
+  res.json({ asOf: new Date(req.asOf).toISOString(), ...profile });
+});
+
+// ?sort=engagement|mentions|posts|earlyCalls, ?limit= (max 200)
+app.get('/api/authors', (req, res) => {
+  const sort = req.query.sort || 'engagement';
+  if (!AUTHOR_SORTS.includes(sort)) return sendError(res, 400, 'invalid_parameter', `Invalid sort: ${sort}`, { allowed: AUTHOR_SORTS });
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!(Number.isInteger(limit) && limit > 0 && limit <= 200)) return sendError(res, 400, 'invalid_parameter', 'Invalid limit: expected an integer from 1 to 200');
+  if (notModified(req, res, archiveStamps(req))) return;
+  res.json({
+    window: req.hours ? `${req.hours}h` : 'all',
+    asOf: new Date(req.asOf).toISOString(),
+    sort,
+    authors: getAuthorStats(store, { ...archiveWindow(req), sort, limit })
+  });
+});
+
+app.get('/api/authors/:handle', (req, res) => {
+  if (notModified(req, res, archiveStamps(req))) return;
+  const profile = loadAuthorProfile(req);
+  if (!profile) return sendError(res, 404, 'not_found', `No posts by ${req.params.handle} in the archive`);
+  res.json({ asOf: new Date(req.asOf).toISOString(), ...profile });
 });
 
 app.get('/api/fear', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
+  const hours = req.hours ?? 24;
+  if (notModified(req, res, [windowStamp([req.asOf + 1, req.asOf - hours * HOUR])])) return;
+  const scans = loadScans(hours, req.asOf);
   const commodities = getCommodities(scans);
-  const fear = getFearLevel(commodities, scans.length);
-  res.json({ window: `${hours}h`, scanCount: scans.length, level: fear.level, commodities });
+  const fear = getFearLevel(scans);
+  const status = windowStatus(scans);
+  const ok = status === 'ok';
+  res.json({
+    window: `${hours}h`,
+    asOf: new Date(req.asOf).toISOString(),
+    status,
+    scanCount: scans.length,
+    tweets: fear.tweets,
+    level: ok ? fear.level : null,
+    score: ok ? fear.score : null,
+    components: ok ? fear.components : null,
+    commodities
+  });
 });
 
+// ?baseline= (hours), ?minMentions= and ?threshold= (|z|) tune detection
 app.get('/api/momentum', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  const allScans = loadAllScans();
-  res.json({ window: `${hours}h`, momentum: getMomentum(allScans, scans) });
+  const hours = req.hours ?? 24;
+  const options = { categories: req.categories };
+  for (const name of ['baseline', 'minMentions', 'threshold']) {
+    if (req.query[name] === undefined) continue;
+    const value = Number(req.query[name]);
+    if (!Number.isFinite(value) || value < 0 || (name === 'baseline' && value === 0)) {
+      return sendError(res, 400, 'invalid_parameter', `Invalid ${name}: expected a ${name === 'baseline' ? 'positive' : 'non-negative'} number`);
+    }
+    options[name] = value;
+  }
+  const start = req.asOf - hours * HOUR;
+  if (notModified(req, res, [windowStamp([req.asOf + 1, start, start - (options.baseline || DEFAULT_BASELINE_HOURS) * HOUR])])) return;
+  res.json({
+    window: `${hours}h`,
+    asOf: new Date(req.asOf).toISOString(),
+    category: req.categories,
+    status: windowStatus(loadScans(hours, req.asOf)),
+    baseline: `${options.baseline || DEFAULT_BASELINE_HOURS}h`,
+    momentum: loadMomentum(hours, req.asOf, options)
+  });
+});
+
+app.get('/api/backtest', (req, res) => {
+  const { result, status, code, error } = loadBacktest(req);
+  if (error) return sendError(res, status, code, error);
+  res.json({ asOf: new Date(req.asOf).toISOString(), category: req.categories, ...result });
+});
+
+// Bulk dump for notebooks: ?dataset=scans|tickers|tweets|sentiment,
+// ?format=csv|ndjson, over the whole archive unless ?from=/?to=/?hours=.
+// ?category= only applies to tickers and tweets. Streamed; see lib/export.js.
+app.get('/api/export', (req, res) => {
+  const dataset = req.query.dataset || 'scans';
+  const format = req.query.format || 'csv';
+  if (!EXPORT_DATASETS[dataset]) return sendError(res, 400, 'invalid_parameter', `Invalid dataset: ${dataset}`, { allowed: Object.keys(EXPORT_DATASETS) });
+  if (!EXPORT_FORMATS[format]) return sendError(res, 400, 'invalid_parameter', `Invalid format: ${format}`, { allowed: Object.keys(EXPORT_FORMATS) });
+  if (req.categories && !EXPORT_DATASETS[dataset].byCategory) {
+    const allowed = Object.keys(EXPORT_DATASETS).filter(name => EXPORT_DATASETS[name].byCategory);
+    return sendError(res, 400, 'invalid_parameter', `category can't filter the ${dataset} dataset`, { allowed });
+  }
+
+  const window = archiveWindow(req);
+  const { oldestScan, newestScan } = store.stats();
+  const from = Math.max(window.from, oldestScan ? Date.parse(oldestScan) : Infinity);
+  const to = Math.min(window.to, newestScan ? Date.parse(newestScan) + 1 : -Infinity);
+  const name = `ct-${dataset}${from < to ? `-${formatDay(from)}-${formatDay(to - 1)}` : ''}.${EXPORT_FORMATS[format].ext}`;
+  res.set({ 'Content-Type': EXPORT_FORMATS[format].type, 'Content-Disposition': `attachment; filename="${name}"` });
+
+  writeExport(res, store.range, { dataset, format, from, to, categories: req.categories })
+    .then(() => res.end())
+    .catch(err => {
+      console.warn(`Export failed: ${err.message}`);
+      res.destroy(err);
+    });
+});
+
+// The scanner can push runs here instead of writing into the data dir.
+// Disabled unless INGEST_TOKEN is set.
+const INGEST_TOKEN = process.env.INGEST_TOKEN || null;
+
+app.post('/api/scans', express.json({ limit: '5mb' }), (req, res) => {
+  if (!INGEST_TOKEN) return sendError(res, 404, 'disabled', 'Scan ingestion is disabled (set INGEST_TOKEN)');
+  if (!tokenMatches(req.get('Authorization'), INGEST_TOKEN)) {
+    return sendError(res.set('WWW-Authenticate', 'Bearer'), 401, 'unauthorized', 'Missing or invalid bearer token');
+  }
+
+  const { scans, errors } = validateBatch(req.body);
+  if (errors) return sendError(res, 400, 'invalid_scan', 'Invalid scan', { details: errors });
+
+  const accepted = [];
+  const duplicates = [];
+  const batch = new Set();
+  for (const scan of scans) {
+    const ts = new Date(scan.timestamp).getTime();
+    if (store.has(ts) || batch.has(ts)) {
+      duplicates.push(scan.timestamp);
+      continue;
+    }
+    batch.add(ts);
+    const file = scanFileName(ts);
+    try {
+      const { reason } = store.add(file, scan);
+      if (reason) return sendError(res, 400, 'scan_rejected', `Scan ${scan.timestamp} rejected: ${reason}`, { accepted, duplicates });
+    } catch (e) {
+      return sendError(res, 500, 'storage_failed', `Could not store scan ${scan.timestamp}: ${e.message}`, { accepted, duplicates });
+    }
+    accepted.push({ timestamp: scan.timestamp, file });
+  }
+
+  const body = { accepted, duplicates, scans: store.stats().scans };
+  if (!accepted.length) return sendError(res, 409, 'duplicate_scans', 'Every scan is already stored', body);
+  res.status(201).json(body);
+});
+
+// The range comes from ?from=&to= (or ?hours=) like every route, but
+// defaults to the 7 days before asOf. The reported from/to are the exact
+// bounds used (from <= ts < to): ?from= as given, else asOf less the hours,
+// as loadScans measures windows.
+// ?bucket=1h|4h|1d, ?tickers=BTC,ETH (default: the range's top 5)
+app.get('/api/timeseries', (req, res) => {
+  const to = req.asOf + 1;
+  const from = req.from ?? req.asOf - (req.hours ?? 7 * 24) * HOUR;
+
+  const bucket = req.query.bucket === undefined ? defaultBucket(from, to) : parseBucket(req.query.bucket);
+  if (!bucket) return sendError(res, 400, 'invalid_parameter', `Invalid bucket: ${req.query.bucket}`, { allowed: ['1h', '4h', '1d'] });
+  if (estimateBuckets(from, to, bucket) > MAX_BUCKETS) {
+    return sendError(res, 400, 'invalid_parameter', `Range too long for ${bucket} buckets (max ${MAX_BUCKETS}); use a coarser bucket`);
+  }
+
+  const tickers = req.query.tickers === undefined
+    ? rankTickers(from, to, { limit: 5, categories: req.categories }).map(t => t.name)
+    : [...new Set(String(req.query.tickers).split(',').map(s => s.trim()).filter(Boolean).map(registry.canonical))];
+  if (tickers.length > 20) return sendError(res, 400, 'invalid_parameter', 'Too many tickers (max 20)');
+  if (notModified(req, res, [windowStamp([to, from])])) return;
+
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    timeZone: TIME_ZONE,
+    ...getTimeseries(store, { from, to, bucket, tickers })
+  });
+});
+
+// Ticker registry admin. Reads are public; edits need ADMIN_TOKEN and are
+// disabled without it. Every successful edit is written to the registry
+// file and re-resolves the archive.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return sendError(res, 404, 'disabled', 'Registry editing is disabled (set ADMIN_TOKEN)');
+  if (!tokenMatches(req.get('Authorization'), ADMIN_TOKEN)) {
+    return sendError(res.set('WWW-Authenticate', 'Bearer'), 401, 'unauthorized', 'Missing or invalid bearer token');
+  }
+  next();
+}
+
+function editRegistry(res, edit, status = 200) {
+  const errors = registry.update(edit);
+  if (errors.length) return sendError(res, 400, 'invalid_registry', 'Invalid registry', { details: errors });
+  res.status(status).json({ file: registry.file, ...registry.get() });
+}
+
+// Bodies are checked on their own before they touch the registry: a
+// missing or non-JSON body arrives as {} and would otherwise be stored.
+// `wrap` places the body in a registry document for validateRegistry.
+function registryBodyErrors(req, wrap = body => body) {
+  const { body } = req;
+  if (!req.is('application/json') || !body || typeof body !== 'object' || Array.isArray(body)) return ['body must be a JSON object'];
+  return validateRegistry(wrap(body));
+}
+
+function registrySymbol(req) {
+  return req.params.symbol.replace(/^\$/, '').trim().toUpperCase();
+}
+
+app.get('/api/registry', (req, res) => {
+  res.json({ file: registry.file, ...registry.get() });
+});
+
+// Whole-document replace: { tickers, deny, noise }
+app.put('/api/registry', requireAdmin, express.json(), (req, res) => {
+  const errors = registryBodyErrors(req);
+  if (errors.length) return sendError(res, 400, 'invalid_registry', 'Invalid registry', { details: errors });
+  editRegistry(res, doc => {
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, req.body);
+  });
+});
+
+// Body: { aliases, name, category, chain }
+app.put('/api/registry/tickers/:symbol', requireAdmin, express.json(), (req, res) => {
+  const symbol = registrySymbol(req);
+  const errors = registryBodyErrors(req, entry => ({ tickers: { [symbol]: entry } }));
+  if (errors.length) return sendError(res, 400, 'invalid_registry', 'Invalid registry', { details: errors });
+  const existed = Boolean(registry.get().tickers[symbol]);
+  editRegistry(res, doc => {
+    doc.tickers[symbol] = req.body;
+  }, existed ? 200 : 201);
+});
+
+app.delete('/api/registry/tickers/:symbol', requireAdmin, (req, res) => {
+  const symbol = registrySymbol(req);
+  if (!registry.get().tickers[symbol]) return sendError(res, 404, 'not_found', `${symbol} is not registered`);
+  editRegistry(res, doc => {
+    delete doc.tickers[symbol];
+  });
+});
+
+app.put('/api/registry/deny/:symbol', requireAdmin, (req, res) => {
+  const symbol = registrySymbol(req);
+  editRegistry(res, doc => {
+    if (!doc.deny.includes(symbol)) doc.deny.push(symbol);
+  });
+});
+
+app.delete('/api/registry/deny/:symbol', requireAdmin, (req, res) => {
+  const symbol = registrySymbol(req);
+  if (!registry.get().deny.includes(symbol)) return sendError(res, 404, 'not_found', `${symbol} is not denied`);
+  editRegistry(res, doc => {
+    doc.deny = doc.deny.filter(s => s !== symbol);
+  });
+});
+
+app.get('/api/alerts', (req, res) => {
+  if (!alerter) return res.json({ enabled: false, config: ALERTS_CONFIG });
+  res.json({ enabled: true, config: ALERTS_CONFIG, ...alerter.status() });
+});
+
+// The settings in effect after defaults, config file, profile and env.
+// Secrets (INGEST_TOKEN, ADMIN_TOKEN) never enter the config.
+app.get('/api/config', (req, res) => {
+  res.json({ profile: settings.profile, sources: settings.sources, config });
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), store: store.stats() });
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(apiSpec);
+});
+
+app.use('/api', (req, res) => {
+  sendError(res, 404, 'not_found', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+// Malformed or oversized JSON bodies; anything else thrown under /api still
+// answers in the error envelope. Errors Express marks 4xx (a path that
+// won't URI-decode, say) are the client's; only the rest are 500s.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'invalid_body', `Invalid JSON body: ${err.message}`);
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'body_too_large', `Body exceeds ${err.limit} bytes`);
+  if (!req.path.startsWith('/api/') || res.headersSent) return next(err);
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) return sendError(res, status, 'invalid_parameter', `Invalid request: ${err.message}`);
+  console.error(err);
+  sendError(res, 500, 'internal_error', 'Internal error');
 });
 
 app.listen(PORT, () => {
-  const dataDir = getDataDir();
-  const scanCount = fs.existsSync(dataDir) ? fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).length : 0;
+  const { backend, dataDir, database, scans, rejected } = store.stats();
   console.log(`CT Daily Brief running on port ${PORT}`);
-  console.log(`Data: ${dataDir} (${scanCount} scans)`);
+  console.log(`Data: ${dataDir || database} [${backend}] (${scans} scans)`);
+  for (const { file, reason } of rejected) {
+    console.warn(`Skipped ${file}: ${reason}`);
+  }
 });
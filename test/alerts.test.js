@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createAlerter, deliver } = require('../lib/alerts');
+
+const MINUTE = 60 * 1000;
+
+// Local webhook receiver: answers with `statuses` in turn (then 200) and
+// records every request
+async function receiver(t, statuses = []) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      hits.push({ at: Date.now(), body: JSON.parse(body) });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, hits };
+}
+
+function scan(minutes, btc) {
+  const ts = Date.UTC(2026, 1, 1) + minutes * MINUTE;
+  return { ts, timestamp: new Date(ts).toISOString(), tickers: [{ symbol: 'BTC', count: btc, category: 'crypto-major' }], tweets: [] };
+}
+
+function alerter(url, scans, rule = {}) {
+  return createAlerter({
+    config: { webhooks: [url], rules: [{ id: 'btc', type: 'ticker-mentions', ticker: 'BTC', above: 10, ...rule }] },
+    range: (from, to) => scans.filter(s => s.ts >= from && s.ts < to),
+    delays: [20, 40]
+  });
+}
+
+test('deliver retries server errors with growing delays', async t => {
+  const { url, hits } = await receiver(t, [500, 503]);
+  const result = await deliver(url, { hello: 1 }, { delays: [20, 40] });
+  assert.deepEqual(result, { url, ok: true, attempts: 3 });
+  assert.equal(hits.length, 3);
+  assert.ok(hits[1].at - hits[0].at >= 20);
+  assert.ok(hits[2].at - hits[1].at >= 40);
+  assert.deepEqual(hits[2].body, { hello: 1 });
+});
+
+test('deliver gives up after the last retry', async t => {
+  const { url, hits } = await receiver(t, [500, 500, 500]);
+  const result = await deliver(url, {}, { delays: [10, 10] });
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.error, 'HTTP 500');
+  assert.equal(hits.length, 3);
+});
+
+test('deliver does not retry a 4xx, but does retry 429', async t => {
+  const rejected = await receiver(t, [400]);
+  const result = await deliver(rejected.url, {}, { delays: [10, 10] });
+  assert.deepEqual(result, { url: rejected.url, ok: false, attempts: 1, error: 'HTTP 400' });
+  assert.equal(rejected.hits.length, 1);
+
+  const limited = await receiver(t, [429]);
+  assert.equal((await deliver(limited.url, {}, { delays: [10] })).attempts, 2);
+});
+
+test('a condition that keeps holding alerts once', async t => {
+  const { url, hits } = await receiver(t);
+  const scans = [scan(0, 20), scan(10, 25), scan(20, 30)];
+  await alerter(url, scans).onScans(scans);
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].body.rule, 'btc');
+  assert.equal(hits[0].body.scan, scans[0].timestamp);
+  assert.deepEqual(hits[0].body.data, { ticker: 'BTC', mentions: 20, rawMentions: 20, above: 10 });
+});
+
+test('a condition that clears and returns waits out the cooldown', async t => {
+  const { url, hits } = await receiver(t);
+  // 60 minute cooldown: the return at 30 is too soon, the one at 90 isn't
+  const scans = [scan(0, 20), scan(10, 1), scan(30, 20), scan(40, 1), scan(90, 20)];
+  await alerter(url, scans, { cooldownMinutes: 60 }).onScans(scans);
+  assert.deepEqual(hits.map(h => h.body.scan), [scans[0].timestamp, scans[4].timestamp]);
+});
+
+test('conditions already true at startup do not alert again', async t => {
+  const { url, hits } = await receiver(t);
+  const scans = [scan(0, 20), scan(10, 20), scan(20, 1), scan(30, 20)];
+  const a = alerter(url, scans);
+  a.prime(scans.slice(0, 1));
+  await a.onScans(scans.slice(0, 2));
+  assert.equal(hits.length, 0);
+  await a.onScans(scans);
+  assert.deepEqual(hits.map(h => h.body.scan), [scans[3].timestamp]);
+});
+
+test('failed deliveries are kept in the status history', async t => {
+  const { url } = await receiver(t, [400]);
+  const scans = [scan(0, 20)];
+  const a = alerter(url, scans);
+  const warn = t.mock.method(console, 'warn', () => {});
+  await a.onScans(scans);
+  const [entry] = a.status().recent;
+  assert.equal(entry.rule, 'btc');
+  assert.deepEqual(entry.deliveries, [{ url, ok: false, attempts: 1, error: 'HTTP 400' }]);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readScanFile } = require('../lib/scans');
+const { getFearLevel } = require('../lib/fear');
+
+const FIXTURES = path.join(__dirname, 'fixtures/scans');
+
+function only(file) {
+  return readScanFile(FIXTURES, file).scans[0];
+}
+
+test('scans without keyword tallies stay out of the metals and macro rates', () => {
+  const v1 = only('v1.json');
+  const v2 = only('v2.json');
+  assert.equal(v1.hasKeywords, false);
+  assert.equal(v2.hasKeywords, true);
+
+  const alone = getFearLevel([v2]);
+  const mixed = getFearLevel([v1, v2]);
+  assert.ok(alone.components.metals.per100 > 0);
+  assert.equal(mixed.components.metals.per100, alone.components.metals.per100);
+  assert.equal(mixed.components.macro.per100, alone.components.macro.per100);
+  // Sentiment is still read from every scan
+  assert.equal(mixed.tweets, v1.stats.totalTweets + v2.stats.totalTweets);
+  assert.equal(mixed.components.bearish.mentions, v1.sentiment.bearish + v2.sentiment.bearish);
+});
+
+test('manual scans carry keyword tallies; history entries do not', () => {
+  assert.equal(only('manual.json').hasKeywords, true);
+  assert.equal(only('history.json').hasKeywords, false);
+  assert.equal(getFearLevel([only('history.json')]).components.metals.per100, 0);
+});
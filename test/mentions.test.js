@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readScanFile } = require('../lib/scans');
+const { createScanStore } = require('../lib/store');
+const { countMentions, getTickerProfile } = require('../lib/tickers');
+const { getTimeseries } = require('../lib/timeseries');
+const { formatDay } = require('../lib/time');
+
+const FIXTURES = path.join(__dirname, 'fixtures/scans');
+const MINUTE = 60 * 1000;
+
+// The v2 fixture twice, ten minutes apart: the scanner counts BTC 3 times in
+// each, both from the same single tweet; USELESS has no tweets listed
+function rerun() {
+  const [first] = readScanFile(FIXTURES, 'v2.json').scans;
+  const ts = first.ts + 10 * MINUTE;
+  return [first, { ...first, ts, timestamp: new Date(ts).toISOString() }];
+}
+
+// The same two scans in a scratch data dir
+function rerunStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-mentions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createScanStore(dir).load();
+  const data = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'v2.json'), 'utf8'));
+  store.add('first.json', data);
+  store.add('second.json', { ...data, timestamp: rerun()[1].timestamp });
+  return store;
+}
+
+test('countMentions counts a tweet seen in two scans once', () => {
+  const counts = countMentions(rerun());
+  assert.deepEqual(counts.get('BTC'), { mentions: 1, rawMentions: 6, category: 'crypto-major' });
+  assert.deepEqual(counts.get('USELESS'), { mentions: 6, rawMentions: 6, category: 'crypto' });
+});
+
+test('timeseries buckets count a repeated tweet once', t => {
+  const scans = rerun();
+  const { points } = getTimeseries(rerunStore(t), {
+    from: scans[0].ts - 60 * MINUTE,
+    to: scans[1].ts + 1,
+    bucket: '1d',
+    tickers: ['BTC', 'USELESS']
+  });
+  const [point] = points.filter(p => p.scans);
+  assert.equal(point.scans, 2);
+  assert.deepEqual(point.mentions, { BTC: 1, USELESS: 6 });
+  assert.deepEqual(point.rawMentions, { BTC: 6, USELESS: 6 });
+  assert.ok(points.filter(p => !p.scans).every(p => p.mentions.BTC === null && p.rawMentions.BTC === null));
+});
+
+test('a ticker profile\'s daily series counts a repeated tweet once', t => {
+  const profile = getTickerProfile(rerunStore(t), 'btc');
+  assert.equal(profile.mentions, 1);
+  assert.equal(profile.rawMentions, 6);
+  assert.equal(profile.series.length, 1);
+  const { day, ...counts } = profile.series[0];
+  assert.equal(day, formatDay(Date.parse(profile.firstSeen)));
+  assert.deepEqual(counts, { mentions: 1, rawMentions: 6, scans: 2 });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const REGISTRY = { tickers: { BTC: { aliases: ['XBT'], name: 'Bitcoin', category: 'crypto-major' } }, deny: [], noise: [] };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// The server on the scan fixtures with a scratch registry file; resolves
+// once it is listening
+async function startServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-registry-'));
+  const file = path.join(dir, 'tickers.json');
+  fs.writeFileSync(file, JSON.stringify(REGISTRY));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: path.join(__dirname, 'fixtures/scans'),
+      TICKER_REGISTRY: file,
+      ALERTS_CONFIG: path.join(dir, 'alerts.json'),
+      NARRATIVE_CONFIG: path.join(dir, 'narrative.json'),
+      ADMIN_TOKEN: 'admin'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+  return { base: `http://127.0.0.1:${port}`, file };
+}
+
+function put(base, route, body, contentType = 'application/json') {
+  const headers = { Authorization: 'Bearer admin' };
+  if (contentType) headers['Content-Type'] = contentType;
+  return fetch(`${base}${route}`, { method: 'PUT', headers, body });
+}
+
+async function rejected(res) {
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, 'invalid_registry');
+  return body.details;
+}
+
+test('registry edits reject bodies that are not a JSON object', async t => {
+  const { base, file } = await startServer(t);
+  const cases = [
+    ['/api/registry', undefined, null],
+    ['/api/registry', '{"deny":[]}', 'text/plain'],
+    ['/api/registry', '[]'],
+    ['/api/registry/tickers/ETH', undefined, null],
+    ['/api/registry/tickers/ETH', '{"name":"Ether"}', 'text/plain'],
+    ['/api/registry/tickers/ETH', '[]'],
+    ['/api/registry/tickers/ETH', '"Ether"']
+  ];
+  for (const [route, body, type] of cases) {
+    const res = await put(base, route, body, type === undefined ? 'application/json' : type);
+    assert.equal(res.status, 400, `${route} ${body} ${type}`);
+    assert.match((await res.json()).code, /^invalid_(registry|body)$/);
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), REGISTRY);
+  assert.deepEqual((await (await fetch(`${base}/api/registry`)).json()).tickers, REGISTRY.tickers);
+});
+
+test('a ticker entry is validated before it is stored', async t => {
+  const { base, file } = await startServer(t);
+  assert.deepEqual(await rejected(await put(base, '/api/registry/tickers/ETH', '{"ticker":"ETH"}')), ['tickers.ETH: unknown field "ticker"']);
+  assert.match((await rejected(await put(base, '/api/registry/tickers/ETH', '{"category":"coin"}')))[0], /^tickers\.ETH\.category must be one of /);
+  assert.match((await rejected(await put(base, '/api/registry/tickers/ETH', '{"aliases":["XBT"]}')))[0], /XBT is claimed by both/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), REGISTRY);
+
+  const res = await put(base, '/api/registry/tickers/ETH', '{"name":"Ether","category":"crypto-major"}');
+  assert.equal(res.status, 201);
+  assert.deepEqual((await res.json()).tickers.ETH, { name: 'Ether', category: 'crypto-major' });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { detectFormat, readScanFile, mergeScans, listScanFiles } = require('../lib/scans');
+
+const FIXTURES = path.join(__dirname, 'fixtures/scans');
+
+function read(file) {
+  return readScanFile(FIXTURES, file);
+}
+
+function only(file) {
+  const { scans, reason } = read(file);
+  assert.equal(reason, null);
+  assert.equal(scans.length, 1);
+  return scans[0];
+}
+
+test('v1: topTickers tuples, tickerDetails tweets', () => {
+  const scan = only('v1.json');
+  assert.equal(scan.format, 'v1');
+  assert.equal(scan.timestamp, '2026-01-29T04:18:40.582Z');
+  assert.equal(scan.file, 'v1.json');
+  assert.equal(scan.stats.totalTweets, 100);
+  assert.deepEqual(scan.sentiment, { bullish: 14, bearish: 4, neutral: 82, total: 100 });
+  assert.deepEqual(scan.tickers, [
+    { symbol: 'BTC', count: 3, category: null },
+    { symbol: 'USELESS', count: 2, category: null }
+  ]);
+  assert.deepEqual(scan.keywordMentions, { commodities: {}, metals: {}, macro: {}, industry: {} });
+});
+
+test('v1: a retweet collapses onto its original', () => {
+  const scan = only('v1.json');
+  const btc = scan.tweets.filter(t => t.tickers.includes('BTC'));
+  assert.equal(btc.length, 1);
+  assert.equal(btc[0].author, 'CryptoKaleo');
+  assert.deepEqual(btc[0].retweetedBy, ['blknoiz06']);
+  assert.equal(btc[0].likes, 553);
+  assert.deepEqual(scan.rawTweetCounts, { BTC: 2 });
+});
+
+test('v2: topTickers counts with byCategory categories', () => {
+  const scan = only('v2.json');
+  assert.equal(scan.format, 'v2');
+  assert.deepEqual(scan.tickers, [
+    { symbol: 'BTC', count: 3, category: 'crypto-major' },
+    { symbol: 'USELESS', count: 3, category: 'crypto' }
+  ]);
+  assert.deepEqual(scan.categories['crypto-major'], ['BTC']);
+  assert.deepEqual(scan.categories.crypto, ['USELESS']);
+  assert.deepEqual(scan.keywordMentions.metals, { gold: 3 });
+});
+
+test('v2 with categories only: counts and tweets come from byCategory', () => {
+  const scan = only('v2-categories.json');
+  assert.equal(scan.format, 'v2-categories');
+  assert.deepEqual(scan.tickers, [
+    { symbol: 'BTC', count: 4, category: 'crypto-major' },
+    { symbol: 'USELESS', count: 3, category: 'crypto' },
+    { symbol: 'MSTR', count: 1, category: 'stock' }
+  ]);
+  assert.deepEqual(scan.categories.stock, ['MSTR']);
+  assert.equal(scan.tweets.length, 1);
+  assert.deepEqual(scan.tweets[0].tickers, ['USELESS']);
+  assert.deepEqual(scan.rawTweetCounts, { USELESS: 1 });
+});
+
+test('manual: flat crypto and commodities maps', () => {
+  const scan = only('manual.json');
+  assert.equal(scan.format, 'manual');
+  assert.equal(scan.timestamp, '2026-01-29T21:00:07.000Z');
+  assert.equal(scan.stats.totalTweets, 100);
+  assert.deepEqual(scan.tickers, [
+    { symbol: 'TSLAX', count: 2, category: null },
+    { symbol: 'BTC', count: 1, category: null }
+  ]);
+  assert.deepEqual(scan.keywordMentions.commodities, { gold: 14, silver: 4, copper: 2 });
+  assert.deepEqual(scan.keywordMentions.metals, { gold: 14, silver: 4, copper: 2 });
+  assert.deepEqual(scan.tweets, []);
+  assert.equal(scan.notes, 'Quiet scan.');
+});
+
+test('history: expanded into one entry per usable scan', () => {
+  const { scans, reason } = read('history.json');
+  assert.equal(reason, null);
+  assert.deepEqual(scans.map(s => s.format), ['history-entry', 'history-entry']);
+  assert.deepEqual(scans.map(s => s.timestamp), ['2026-01-29T05:28:29.049Z', '2026-01-29T04:20:46.943Z']);
+  assert.deepEqual(scans[0].tickers, [
+    { symbol: 'BTC', count: 15, category: null },
+    { symbol: 'PENGUIN', count: 4, category: null }
+  ]);
+  assert.deepEqual(scans[0].tweets, []);
+});
+
+test('latest.json is rejected as an aggregate', () => {
+  const { scans, reason } = read('latest.json');
+  assert.deepEqual(scans, []);
+  assert.match(reason, /^aggregate/);
+});
+
+test('files of no known format are rejected with a reason', () => {
+  assert.equal(detectFormat([]), null);
+  assert.equal(detectFormat({ sentiment: {} }), null);
+  const { scans, reason } = read('unknown.json');
+  assert.deepEqual(scans, []);
+  assert.equal(reason, 'unrecognized format');
+});
+
+test('mergeScans: sorted, full scans win over history entries, rejections reported', () => {
+  const { scans, rejected } = mergeScans(listScanFiles(FIXTURES).map(read));
+  assert.deepEqual(scans.map(s => [s.file, s.format]), [
+    ['v1.json', 'v1'],
+    ['v2.json', 'v2'],
+    ['v2-categories.json', 'v2-categories'],
+    ['history.json', 'history-entry'],
+    ['manual.json', 'manual']
+  ]);
+  assert.deepEqual(rejected, [
+    { file: 'latest.json', reason: 'aggregate: copy of the most recent scan' },
+    { file: 'unknown.json', reason: 'unrecognized format' }
+  ]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanStore } = require('../lib/store');
+const { createRegistry } = require('../lib/registry');
+
+const FIXTURES = path.join(__dirname, 'fixtures/scans');
+const REGISTRY = { tickers: { BTC: { aliases: ['XBT'], name: 'Bitcoin', category: 'crypto-major' } }, deny: ['USELESS'], noise: [] };
+
+let sqlite = null;
+try {
+  require('better-sqlite3');
+  sqlite = require('../lib/sqlite-store');
+} catch {
+  // optional dependency
+}
+
+// The fixtures plus a re-run of v2.json ten minutes later, in both backends
+// over one scratch registry
+function stores(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'tickers.json'), JSON.stringify(REGISTRY));
+  const registry = createRegistry(path.join(dir, 'tickers.json')).load();
+
+  const data = path.join(dir, 'data');
+  fs.mkdirSync(data);
+  for (const file of fs.readdirSync(FIXTURES)) fs.copyFileSync(path.join(FIXTURES, file), path.join(data, file));
+  const v2 = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'v2.json'), 'utf8'));
+  v2.timestamp = new Date(Date.parse(v2.timestamp) + 10 * 60 * 1000).toISOString();
+  fs.writeFileSync(path.join(data, 'rerun.json'), JSON.stringify(v2));
+
+  const file = createScanStore(data).load();
+  const db = sqlite.createSqliteStore(path.join(dir, 'scans.db'), { registry }).load();
+  t.after(() => db.close());
+  db.insertScans(file.all());
+  return { file: createScanStore(data, { registry }).load(), db, registry };
+}
+
+function aggregates(store) {
+  return {
+    timestamps: store.timestamps(),
+    mentions: store.mentions(),
+    majors: store.mentions(-Infinity, Infinity, ['crypto-major']),
+    tweets: store.tweets(),
+    btc: store.tweets(-Infinity, Infinity, { symbol: 'btc' }),
+    author: store.tweets(-Infinity, Infinity, { author: '@cryptokaleo' }),
+    symbolScans: store.symbolScans(-Infinity, Infinity, 'btc')
+  };
+}
+
+test('the SQLite store aggregates like the file store', { skip: !sqlite && 'better-sqlite3 is not installed' }, t => {
+  const { file, db } = stores(t);
+  const expected = aggregates(file);
+  assert.ok(expected.mentions.has('BTC'));
+  assert.ok(!expected.mentions.has('USELESS'));
+  assert.ok(expected.author.length > 0);
+  assert.deepEqual(aggregates(db), expected);
+});
+
+test('a registry edit re-resolves the SQLite aggregates', { skip: !sqlite && 'better-sqlite3 is not installed' }, t => {
+  const { file, db, registry } = stores(t);
+  assert.deepEqual(registry.update(doc => { doc.deny = []; }), []);
+  const expected = aggregates(file);
+  assert.ok(expected.mentions.has('USELESS'));
+  assert.deepEqual(aggregates(db), expected);
+});